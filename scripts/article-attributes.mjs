@@ -0,0 +1,98 @@
+/**
+ * Типизированные атрибуты модели — свойства schemas/model.schema.json
+ */
+export const MODEL_ATTRIBUTES = ['material', 'finish', 'connection'];
+
+/**
+ * Допустимые значения атрибутов — enum свойств схемы модели:
+ * { material: ['galvanized', 'stainless', 'none'], ... }
+ * @param {Object} modelSchema - схема из loadSchemas().schemas['model.schema.json']
+ */
+export function modelAttributeValues(modelSchema) {
+  const values = {};
+  for (const attribute of MODEL_ATTRIBUTES) {
+    const property = modelSchema.properties[attribute];
+    if (!property || !Array.isArray(property.enum)) {
+      throw new Error(`model.schema.json: у атрибута "${attribute}" нет enum допустимых значений`);
+    }
+    values[attribute] = property.enum;
+  }
+  return values;
+}
+
+/**
+ * Проверяет и компилирует словарь атрибутов (блок "attributes" в mapping.json):
+ * {
+ *   "material": { "segment": "type", "values": { "Г": null, "К": "stainless" } }
+ * }
+ * - ключ — атрибут модели из MODEL_ATTRIBUTES
+ * - segment — сегмент модели из грамматики артикула (не длина)
+ * - values — код сегмента → значение атрибута; null — код известен, значение
+ *   не подтверждено владельцем данных, атрибут не заполняется
+ * Значения по умолчанию нет: неизвестный код сообщается при импорте
+ * Бросает ошибку, если конфигурация некорректна
+ * @param {Object} modelSchema - схема модели, из которой берутся допустимые значения
+ */
+export function compileAttributeDictionary(config, grammar, modelSchema) {
+  const series = grammar.series;
+
+  if (config === undefined) {
+    return [];
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Серия ${series}: блок "attributes" должен быть объектом { атрибут: { segment, values } }`);
+  }
+
+  const allowedValues = modelAttributeValues(modelSchema);
+
+  return Object.entries(config).map(([attribute, rule]) => {
+    const allowed = allowedValues[attribute];
+    if (!allowed) {
+      throw new Error(`Серия ${series}: неизвестный атрибут "${attribute}" (доступны: ${MODEL_ATTRIBUTES.join(', ')})`);
+    }
+    if (!rule || typeof rule.segment !== 'string') {
+      throw new Error(`Серия ${series}: attributes.${attribute} — не указан сегмент артикула (segment)`);
+    }
+    if (!grammar.modelSegments.includes(rule.segment)) {
+      throw new Error(`Серия ${series}: attributes.${attribute} — "${rule.segment}" не является сегментом модели (доступны: ${grammar.modelSegments.join(', ')})`);
+    }
+    if (!rule.values || typeof rule.values !== 'object' || Array.isArray(rule.values) || Object.keys(rule.values).length === 0) {
+      throw new Error(`Серия ${series}: attributes.${attribute}.values должен быть непустым объектом { код: значение }`);
+    }
+
+    for (const [code, value] of Object.entries(rule.values)) {
+      if (value !== null && !allowed.includes(value)) {
+        throw new Error(`Серия ${series}: attributes.${attribute}.values["${code}"] — недопустимое значение "${value}" (допустимо: ${allowed.join(', ')})`);
+      }
+    }
+
+    return {
+      attribute: attribute,
+      segment: rule.segment,
+      values: new Map(Object.entries(rule.values))
+    };
+  });
+}
+
+/**
+ * Определяет атрибуты модели по сегментам разобранного артикула
+ * Атрибуты кодов без подтверждённого значения (null) не заполняются
+ * Возвращает { attributes: { атрибут: значение }, unknown: [{ attribute, segment, code }] }
+ */
+export function resolveAttributes(articleParts, dictionary) {
+  const attributes = {};
+  const unknown = [];
+
+  for (const rule of dictionary) {
+    const code = String(articleParts[rule.segment]);
+    if (!rule.values.has(code)) {
+      unknown.push({ attribute: rule.attribute, segment: rule.segment, code: code });
+    } else if (rule.values.get(code) !== null) {
+      attributes[rule.attribute] = rule.values.get(code);
+    }
+  }
+
+  return { attributes, unknown };
+}
+
+export default compileAttributeDictionary;
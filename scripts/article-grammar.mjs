@@ -0,0 +1,159 @@
+const SEGMENT_TYPES = ['integer', 'string'];
+
+// Имена, которые заняты служебными полями CSV
+const RESERVED_SEGMENTS = ['series', 'article_base', 'article_full'];
+
+/**
+ * Извлекает имена именованных групп из регулярного выражения
+ */
+function getGroupNames(pattern) {
+  const names = [];
+  const groupPattern = /\(\?<([A-Za-z_][A-Za-z0-9_]*)>/g;
+  let match;
+  while ((match = groupPattern.exec(pattern)) !== null) {
+    names.push(match[1]);
+  }
+  return names;
+}
+
+/**
+ * Извлекает плейсхолдеры {name} из шаблона
+ */
+function getPlaceholders(template) {
+  return Array.from(template.matchAll(/\{([A-Za-z_][A-Za-z0-9_]*)\}/g), match => match[1]);
+}
+
+/**
+ * Проверяет и компилирует грамматику артикулов серии (блок "article" в mapping.json):
+ * - pattern — регулярное выражение с именованными группами (сегментами)
+ * - segments — типы сегментов ("integer" или "string")
+ * - lengthSegment — сегмент, содержащий длину прибора
+ * - modelBase — шаблон артикула модели без длины, например "ВК.{height}.{width}.{tubes}{type}"
+ * - format — описание формата для сообщений об ошибках
+ * Бросает ошибку, если конфигурация некорректна
+ */
+export function compileArticleGrammar(config, series) {
+  if (!config || typeof config !== 'object') {
+    throw new Error(`Не задана грамматика артикулов (блок "article") для серии ${series}`);
+  }
+
+  const { pattern, segments, lengthSegment, modelBase } = config;
+
+  if (!pattern || typeof pattern !== 'string') {
+    throw new Error(`Серия ${series}: article.pattern должен быть непустой строкой`);
+  }
+
+  let regex;
+  try {
+    regex = new RegExp(pattern);
+  } catch (error) {
+    throw new Error(`Серия ${series}: некорректный article.pattern: ${error.message}`);
+  }
+
+  if (!segments || typeof segments !== 'object' || Object.keys(segments).length === 0) {
+    throw new Error(`Серия ${series}: article.segments должен описывать хотя бы один сегмент`);
+  }
+
+  const groupNames = getGroupNames(pattern);
+
+  for (const [name, type] of Object.entries(segments)) {
+    if (RESERVED_SEGMENTS.includes(name) || (name === 'length' && name !== lengthSegment)) {
+      throw new Error(`Серия ${series}: имя сегмента "${name}" зарезервировано`);
+    }
+    if (!SEGMENT_TYPES.includes(type)) {
+      throw new Error(`Серия ${series}: сегмент "${name}" имеет неизвестный тип "${type}" (допустимо: ${SEGMENT_TYPES.join(', ')})`);
+    }
+    if (!groupNames.includes(name)) {
+      throw new Error(`Серия ${series}: сегмент "${name}" отсутствует в article.pattern как именованная группа (?<${name}>...)`);
+    }
+  }
+
+  if (!lengthSegment || !segments[lengthSegment]) {
+    throw new Error(`Серия ${series}: article.lengthSegment должен ссылаться на один из сегментов`);
+  }
+  if (segments[lengthSegment] !== 'integer') {
+    throw new Error(`Серия ${series}: сегмент длины "${lengthSegment}" должен иметь тип integer`);
+  }
+
+  if (!modelBase || typeof modelBase !== 'string') {
+    throw new Error(`Серия ${series}: article.modelBase должен быть непустой строкой`);
+  }
+
+  const placeholders = getPlaceholders(modelBase);
+  for (const name of placeholders) {
+    if (!segments[name]) {
+      throw new Error(`Серия ${series}: article.modelBase ссылается на неизвестный сегмент {${name}}`);
+    }
+    if (name === lengthSegment) {
+      throw new Error(`Серия ${series}: article.modelBase не должен содержать сегмент длины {${name}}`);
+    }
+  }
+
+  return {
+    series: series,
+    regex: regex,
+    segments: segments,
+    lengthSegment: lengthSegment,
+    modelBase: modelBase,
+    format: config.format || pattern,
+    // Сегменты модели — все, кроме длины (в порядке объявления)
+    modelSegments: Object.keys(segments).filter(name => name !== lengthSegment)
+  };
+}
+
+/**
+ * Парсит артикул по грамматике серии
+ * Возвращает объект с сегментами, length, article_base и article_full
+ */
+export function parseArticle(articleFull, grammar) {
+  if (!articleFull || typeof articleFull !== 'string') {
+    throw new Error(`Артикул должен быть непустой строкой, получено: ${articleFull}`);
+  }
+
+  const match = articleFull.match(grammar.regex);
+
+  if (!match) {
+    throw new Error(`Неверный формат артикула: "${articleFull}". Ожидается формат серии ${grammar.series}: ${grammar.format}`);
+  }
+
+  const parts = {};
+
+  for (const [name, type] of Object.entries(grammar.segments)) {
+    const raw = match.groups[name];
+
+    if (raw === undefined || raw === '') {
+      throw new Error(`Отсутствует сегмент "${name}" в артикуле: "${articleFull}"`);
+    }
+
+    if (type === 'integer') {
+      const value = parseInt(raw, 10);
+      if (Number.isNaN(value)) {
+        throw new Error(`Сегмент "${name}" артикула "${articleFull}" должен быть числом, получено: "${raw}"`);
+      }
+      parts[name] = value;
+    } else {
+      parts[name] = raw;
+    }
+  }
+
+  // Длина всегда доступна под именем length
+  const length = parts[grammar.lengthSegment];
+  delete parts[grammar.lengthSegment];
+
+  return {
+    series: grammar.series,
+    ...parts,
+    length: length,
+    article_base: buildModelBase(parts, grammar),
+    article_full: articleFull
+  };
+}
+
+/**
+ * Формирует артикул модели по шаблону modelBase
+ */
+export function buildModelBase(parts, grammar) {
+  return grammar.modelBase.replace(/\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (placeholder, name) => parts[name]);
+}
+
+export default parseArticle;
@@ -1,5 +1,6 @@
 import fs from "fs";
 import path from "path";
+import { getEntityId } from "./identity.mjs";
 
 /**
  * Загружает diff из файла
@@ -13,17 +14,47 @@ function loadDiff(diffPath) {
 }
 
 /**
- * Получает идентификатор объекта
+ * Получает идентификатор объекта — тот же, по которому сравнивает diff
  */
 function getObjectId(obj, category) {
-  if (category === 'series') {
-    return obj.series || obj.slug || obj.id || 'unknown';
-  } else if (category === 'models') {
-    return obj.slug || obj.model_code || obj.id || 'unknown';
-  } else if (category === 'lengths') {
-    return obj.slug || obj.id || 'unknown';
-  }
-  return obj.id || obj.slug || 'unknown';
+  return getEntityId(obj, category) || 'unknown';
+}
+
+/**
+ * Пояснение к идентификатору изменённого объекта: текущий и прежний slug
+ */
+function formatChangedSlug(item) {
+  const parts = [];
+  if (item.slug && item.slug !== item.id) {
+    parts.push(`slug: \`${item.slug}\``);
+  }
+  if (item.renamedFrom) {
+    parts.push(`было: \`${item.renamedFrom}\``);
+  }
+  return parts.length > 0 ? ` (${parts.join(', ')})` : '';
+}
+
+/**
+ * Форматирует значение поля для changelog
+ */
+function formatValue(value) {
+  if (value === undefined) {
+    return 'null';
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Форматирует изменение одного поля: `/price/side`: 9800 → 10200
+ */
+export function formatFieldChange(change) {
+  if (change.op === 'add') {
+    return `\`${change.path}\`: добавлено ${formatValue(change.to)}`;
+  }
+  if (change.op === 'remove') {
+    return `\`${change.path}\`: удалено (было ${formatValue(change.from)})`;
+  }
+  return `\`${change.path}\`: ${formatValue(change.from)} → ${formatValue(change.to)}`;
 }
 
 /**
@@ -35,46 +66,19 @@ function formatChange(item, type, category) {
   
   if (type === 'added') {
     result = `+ **Добавлено**: \`${id}\``;
-    if (item.slug && category !== 'series') {
+    if (item.slug && item.slug !== id && category !== 'series') {
       result += ` (slug: \`${item.slug}\`)`;
     }
   } else if (type === 'removed') {
     result = `- **Удалено**: \`${id}\``;
-    if (item.slug && category !== 'series') {
+    if (item.slug && item.slug !== id && category !== 'series') {
       result += ` (slug: \`${item.slug}\`)`;
     }
   } else if (type === 'changed') {
-    const change = item; // item уже содержит { from, to }
-    const id = getObjectId(change.to, category);
-    result = `~ **Изменено**: \`${id}\``;
-    if (change.to.slug && category !== 'series') {
-      result += ` (slug: \`${change.to.slug}\`)`;
-    }
-    
-    // Определяем, что именно изменилось
-    const changes = [];
-    const oldKeys = Object.keys(change.from);
-    const newKeys = Object.keys(change.to);
-    
-    const addedKeys = newKeys.filter(k => !oldKeys.includes(k));
-    const removedKeys = oldKeys.filter(k => !newKeys.includes(k));
-    const modifiedKeys = oldKeys.filter(k => {
-      return newKeys.includes(k) && 
-             JSON.stringify(change.from[k]) !== JSON.stringify(change.to[k]);
-    });
-    
-    if (addedKeys.length > 0) {
-      changes.push(`добавлены поля: ${addedKeys.join(', ')}`);
-    }
-    if (removedKeys.length > 0) {
-      changes.push(`удалены поля: ${removedKeys.join(', ')}`);
-    }
-    if (modifiedKeys.length > 0) {
-      changes.push(`изменены поля: ${modifiedKeys.join(', ')}`);
-    }
-    
-    if (changes.length > 0) {
-      result += `\n  - ${changes.join('; ')}`;
+    // item — { id, changes: [{ path, op, from, to }] }
+    result = `~ **Изменено**: \`${item.id}\`${formatChangedSlug(item)}`;
+    for (const change of item.changes) {
+      result += `\n  - ${formatFieldChange(change)}`;
     }
   }
   
@@ -150,6 +154,20 @@ function formatChangelogMarkdown(changelog) {
   md += `- Добавлено: ${changelog.summary.lengths.added}, Удалено: ${changelog.summary.lengths.removed}, Изменено: ${changelog.summary.lengths.changed}\n`;
   md += `\n`;
   
+  // Статистика по полям: сколько объектов изменилось по каждому полю
+  const fieldLines = [];
+  for (const category of ['series', 'models', 'lengths']) {
+    for (const [field, count] of Object.entries(changelog.summary[category].fields || {})) {
+      fieldLines.push(`| ${category} | \`${field}\` | ${count} |`);
+    }
+  }
+  if (fieldLines.length > 0) {
+    md += `### Изменённые поля\n\n`;
+    md += `| Категория | Поле | Объектов |\n`;
+    md += `|-----------|------|----------|\n`;
+    md += fieldLines.join('\n') + `\n\n`;
+  }
+  
   // Series
   if (changelog.changes.series.added.length > 0 || 
       changelog.changes.series.removed.length > 0 || 
@@ -281,14 +299,14 @@ function formatChangesList(items, category) {
   const lines = [];
   for (const item of items) {
     const id = getObjectId(item, category);
-    lines.push(`- ${category}: \`${id}\``);
+    lines.push(`- ${category}: \`${id}\`${item.slug && item.slug !== id ? ` (slug: \`${item.slug}\`)` : ''}`);
   }
   
   return lines.join('\n');
 }
 
 /**
- * Форматирует список изменений для changed (только ID)
+ * Форматирует список изменений для changed (ID и изменённые поля)
  */
 function formatChangedList(changes, category) {
   if (changes.length === 0) {
@@ -297,8 +315,10 @@ function formatChangedList(changes, category) {
   
   const lines = [];
   for (const change of changes) {
-    const id = getObjectId(change.to, category);
-    lines.push(`- ${category}: \`${id}\``);
+    lines.push(`- ${category}: \`${change.id}\`${formatChangedSlug(change)}`);
+    for (const fieldChange of change.changes) {
+      lines.push(`  - ${formatFieldChange(fieldChange)}`);
+    }
   }
   
   return lines.join('\n');
@@ -0,0 +1,122 @@
+import { parseNumber, SEVERITIES } from './import-report.mjs';
+
+/**
+ * Возвращает тип сегмента артикула (длина доступна под именем length)
+ */
+function getSegmentType(segment, grammar) {
+  if (segment === 'length') {
+    return grammar.segments[grammar.lengthSegment];
+  }
+  if (segment === grammar.lengthSegment) {
+    return undefined;
+  }
+  return grammar.segments[segment];
+}
+
+/**
+ * Проверяет и компилирует правила согласованности (блок "consistency" в mapping.json)
+ * Каждое правило сравнивает сегмент артикула с одним источником:
+ * - sheet — свойство листа маппинга (например, height)
+ * - field — поле листа из sheets[].columns (например, length)
+ * severity: error — строка отклоняется, warning — строка импортируется с предупреждением
+ * Бросает ошибку, если конфигурация некорректна
+ */
+export function compileConsistencyRules(config, mapping, grammar) {
+  const series = mapping.series;
+
+  if (config === undefined) {
+    return [];
+  }
+  if (!Array.isArray(config)) {
+    throw new Error(`Серия ${series}: блок "consistency" должен быть массивом правил`);
+  }
+
+  return config.map((rule, index) => {
+    const name = `consistency[${index}]`;
+
+    if (!rule || typeof rule.segment !== 'string') {
+      throw new Error(`Серия ${series}: ${name} — не указан сегмент артикула (segment)`);
+    }
+    const type = getSegmentType(rule.segment, grammar);
+    if (!type) {
+      throw new Error(`Серия ${series}: ${name} — сегмент "${rule.segment}" не объявлен в грамматике артикула`);
+    }
+
+    if ((rule.sheet === undefined) === (rule.field === undefined)) {
+      throw new Error(`Серия ${series}: ${name} — укажите ровно один источник сравнения: sheet или field`);
+    }
+
+    for (const sheet of mapping.sheets) {
+      if (rule.sheet !== undefined && (sheet[rule.sheet] === undefined || sheet[rule.sheet] === null)) {
+        throw new Error(`Серия ${series}: ${name} — у листа "${sheet.sheetName}" нет свойства "${rule.sheet}"`);
+      }
+      if (rule.field !== undefined && (!sheet.columns || !sheet.columns[rule.field])) {
+        throw new Error(`Серия ${series}: ${name} — поле "${rule.field}" отсутствует в колонках листа "${sheet.sheetName}"`);
+      }
+    }
+
+    const severity = rule.severity || 'error';
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(`Серия ${series}: ${name} — severity должен быть одним из: ${SEVERITIES.join(', ')}`);
+    }
+
+    return {
+      segment: rule.segment,
+      type: type,
+      sheet: rule.sheet !== undefined ? rule.sheet : null,
+      field: rule.field !== undefined ? rule.field : null,
+      severity: severity
+    };
+  });
+}
+
+/**
+ * Приводит значение к типу сегмента для сравнения
+ * Возвращает null для пустого или нечислового значения (сравнение не выполняется)
+ */
+function normalizeValue(value, type) {
+  if (type === 'integer') {
+    return parseNumber(value).value;
+  }
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+  return String(value).trim();
+}
+
+/**
+ * Сверяет разобранный артикул с листом и колонками строки
+ * Возвращает расхождения: [{ rule, expected, actual, raw }]
+ * expected — значение из листа или колонки, actual — значение из артикула
+ */
+export function checkConsistency(articleParts, row, sheetConfig, rules) {
+  const mismatches = [];
+
+  for (const rule of rules) {
+    const raw = rule.sheet !== null ? sheetConfig[rule.sheet] : row[rule.field];
+    const expected = normalizeValue(raw, rule.type);
+    const actual = normalizeValue(articleParts[rule.segment], rule.type);
+
+    if (expected === null || actual === null) {
+      continue;
+    }
+    if (expected !== actual) {
+      mismatches.push({ rule, expected, actual, raw });
+    }
+  }
+
+  return mismatches;
+}
+
+/**
+ * Формирует текст расхождения для отчёта
+ */
+export function describeMismatch(mismatch, sheetName) {
+  const { rule, expected, actual } = mismatch;
+  const source = rule.sheet !== null
+    ? `свойство "${rule.sheet}" листа "${sheetName}" = ${expected}`
+    : `колонка ${rule.field} = ${expected}`;
+  return `Сегмент "${rule.segment}" артикула (${actual}) не совпадает: ${source}`;
+}
+
+export default compileConsistencyRules;
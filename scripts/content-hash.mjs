@@ -0,0 +1,43 @@
+import crypto from "crypto";
+
+/**
+ * Длина хэша в meta.hash (символов hex)
+ */
+export const HASH_LENGTH = 16;
+
+/**
+ * Сериализует значение в канонический JSON:
+ * ключи объектов отсортированы, пробелов нет, undefined-поля опускаются.
+ * Одинаковые по содержимому объекты дают одинаковую строку
+ * независимо от порядка ключей
+ */
+export function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => item === undefined ? 'null' : canonicalJson(item)).join(',')}]`;
+  }
+
+  if (value !== null && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+/**
+ * Вычисляет хэш содержимого сущности (series, model, length)
+ * Блок meta в хэш не входит — он описывает само содержимое
+ */
+export function hashContent(entity) {
+  const { meta, ...payload } = entity;
+  return crypto
+    .createHash('sha256')
+    .update(canonicalJson(payload))
+    .digest('hex')
+    .substring(0, HASH_LENGTH);
+}
+
+export default hashContent;
@@ -1,52 +1,220 @@
 import fs from "fs";
 import path from "path";
+import { canonicalJson } from "./content-hash.mjs";
+import { updateRedirects } from "./redirects.mjs";
+import { getEntityId, productKey } from "./identity.mjs";
+import { loadManifest, objectsDirFor, readObject } from "./object-store.mjs";
 
 /**
- * Глубокое сравнение двух объектов
+ * Поля верхнего уровня, которые не участвуют в сравнении
+ * meta (хэш, дата обновления) меняется вместе с содержимым и не несёт самостоятельных изменений
  */
-function deepEqual(obj1, obj2) {
-  return JSON.stringify(obj1) === JSON.stringify(obj2);
+const IGNORED_FIELDS = ['meta'];
+
+/**
+ * Сравнение значений без учёта порядка ключей объектов
+ */
+function deepEqual(value1, value2) {
+  return canonicalJson(value1) === canonicalJson(value2);
+}
+
+/**
+ * Проверяет, что значение — обычный объект (не массив и не null)
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Экранирует ключ для JSON Pointer (RFC 6901)
+ */
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Строит список изменений полей между двумя значениями
+ * Объекты сравниваются рекурсивно, массивы и скаляры — целиком
+ * Возвращает [{ path, op: 'add'|'remove'|'replace', from, to }]
+ */
+export function diffFields(fromValue, toValue, pointer = '') {
+  if (deepEqual(fromValue, toValue)) {
+    return [];
+  }
+
+  if (!isPlainObject(fromValue) || !isPlainObject(toValue)) {
+    return [{ path: pointer || '/', op: 'replace', from: fromValue, to: toValue }];
+  }
+
+  const changes = [];
+  const keys = [...new Set([...Object.keys(fromValue), ...Object.keys(toValue)])].sort();
+
+  for (const key of keys) {
+    if (pointer === '' && IGNORED_FIELDS.includes(key)) {
+      continue;
+    }
+
+    const fieldPointer = `${pointer}/${escapePointer(key)}`;
+    const inFrom = Object.prototype.hasOwnProperty.call(fromValue, key);
+    const inTo = Object.prototype.hasOwnProperty.call(toValue, key);
+
+    if (!inFrom) {
+      changes.push({ path: fieldPointer, op: 'add', from: null, to: toValue[key] });
+    } else if (!inTo) {
+      changes.push({ path: fieldPointer, op: 'remove', from: fromValue[key], to: null });
+    } else {
+      changes.push(...diffFields(fromValue[key], toValue[key], fieldPointer));
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Значение характеристики из specs ({ value, unit } или число)
+ */
+function specValue(obj, field) {
+  const spec = obj.specs ? obj.specs[field] : undefined;
+  return spec !== null && typeof spec === 'object' ? spec.value : spec;
+}
+
+/**
+ * Ключ изделия объекта: размеры и исполнение (см. productKey в identity.mjs)
+ */
+function objectProductKey(obj, category) {
+  const fields = { series: obj.series, length: obj.length };
+  for (const field of ['height', 'width', 'tubes', 'type']) {
+    fields[field] = specValue(obj, field);
+  }
+  for (const field of ['material', 'finish', 'connection']) {
+    fields[field] = obj[field];
+  }
+  return productKey(fields, category === 'lengths');
+}
+
+/**
+ * Ключи сопоставления переименованных объектов без общего id
+ * (версии до реестра идентификаторов), от точного к общему:
+ * - code — артикул не изменился (сменилась схема slug)
+ * - dimensions — сменился код модели, размеры и исполнение те же; такое сопоставление
+ *   предположительное, редирект по нему требует проверки (см. redirects.mjs)
+ */
+const RENAME_KEYS = {
+  models: [
+    { id: 'code', key: obj => obj.model_code || null },
+    { id: 'dimensions', key: obj => objectProductKey(obj, 'models') }
+  ],
+  lengths: [
+    { id: 'code', key: obj => (obj.model_code ? `${obj.model_code}:${obj.length}` : null) },
+    { id: 'dimensions', key: obj => objectProductKey(obj, 'lengths') }
+  ]
+};
+
+/**
+ * Группирует объекты по ключу (объекты без ключа пропускаются)
+ */
+function groupByKey(items, key) {
+  const groups = new Map();
+  for (const item of items) {
+    const value = key(item);
+    if (value === null) {
+      continue;
+    }
+    if (!groups.has(value)) {
+      groups.set(value, []);
+    }
+    groups.get(value).push(item);
+  }
+  return groups;
 }
 
 /**
- * Получает ID объекта в зависимости от категории
+ * Находит переименованные объекты среди удалённых и добавленных
+ * Пара составляется, только если ключ однозначен с обеих сторон
+ * Возвращает { renamed: [{ from, to, matchedBy }], removed, added } — removed и added без пар
  */
-function getId(obj, category) {
-  if (category === 'series') {
-    return obj.series || obj.slug || obj.id;
-  } else if (category === 'models') {
-    return obj.slug || obj.model_code || obj.id;
-  } else if (category === 'lengths') {
-    return obj.slug || obj.id;
+export function matchRenames(removed, added, category) {
+  const renamed = [];
+  let restRemoved = removed;
+  let restAdded = added;
+
+  for (const { id, key } of RENAME_KEYS[category] || []) {
+    const removedByKey = groupByKey(restRemoved, key);
+    const addedByKey = groupByKey(restAdded, key);
+    const paired = new Set();
+
+    for (const [value, fromItems] of removedByKey) {
+      const toItems = addedByKey.get(value);
+      if (fromItems.length === 1 && toItems && toItems.length === 1) {
+        renamed.push({ from: fromItems[0], to: toItems[0], matchedBy: id });
+        paired.add(fromItems[0]);
+        paired.add(toItems[0]);
+      }
+    }
+
+    restRemoved = restRemoved.filter(item => !paired.has(item));
+    restAdded = restAdded.filter(item => !paired.has(item));
   }
-  return obj.id || obj.slug;
+
+  return { renamed, removed: restRemoved, added: restAdded };
 }
 
 /**
- * Загружает данные версии из директории
+ * Читает файлы категории версии: [{ file, content, hash }]
+ * Версия с manifest.json читается из хранилища объектов, hash — хэш объекта;
+ * версия, сохранённая полной копией, — из своей директории, hash: null
  */
-function loadVersionData(versionPath, category) {
+function readVersionFiles(versionPath, category) {
+  const manifest = loadManifest(versionPath);
+
+  if (manifest) {
+    const objectsDir = objectsDirFor(versionPath);
+    return Object.entries(manifest.files)
+      .filter(([file]) => path.posix.dirname(file) === category)
+      .map(([file, hash]) => ({ file: `${file} (${hash.substring(0, 12)})`, content: () => readObject(objectsDir, hash), hash }));
+  }
+
   const categoryPath = path.join(versionPath, category);
-  const data = {};
-  
   if (!fs.existsSync(categoryPath)) {
-    return data;
+    return [];
   }
-  
-  const entries = fs.readdirSync(categoryPath, { withFileTypes: true });
-  
-  for (const entry of entries) {
-    if (entry.isFile() && entry.name.endsWith('.json')) {
+  return fs.readdirSync(categoryPath, { withFileTypes: true })
+    .filter(entry => entry.isFile() && entry.name.endsWith('.json'))
+    .map(entry => {
       const filePath = path.join(categoryPath, entry.name);
-      try {
-        const content = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
-        const id = getId(content, category);
-        if (id) {
-          data[id] = content;
-        }
-      } catch (error) {
-        console.warn(`⚠️  Ошибка загрузки файла ${filePath}: ${error.message}`);
-      }
+      return { file: filePath, content: () => fs.readFileSync(filePath, 'utf-8'), hash: null };
+    });
+}
+
+/**
+ * Загружает данные версии: { id: объект }
+ * Если передан hashes, в него записываются хэши объектов по id (для версий из хранилища)
+ * Два объекта с одним id — ошибка: иначе один из них молча выпал бы из diff и changelog
+ */
+export function loadVersionData(versionPath, category, hashes = null) {
+  const data = {};
+  const files = {};
+  
+  for (const { file, content, hash } of readVersionFiles(versionPath, category)) {
+    let entity;
+    try {
+      entity = JSON.parse(content());
+    } catch (error) {
+      console.warn(`⚠️  Ошибка загрузки файла ${file}: ${error.message}`);
+      continue;
+    }
+
+    const id = getEntityId(entity, category);
+    if (!id) {
+      continue;
+    }
+    if (files[id]) {
+      throw new Error(`${versionPath}: ${category} — повторяющийся идентификатор "${id}" (${files[id]}, ${file})`);
+    }
+    files[id] = file;
+    data[id] = entity;
+    if (hashes && hash) {
+      hashes[id] = hash;
     }
   }
   
@@ -54,16 +222,34 @@ function loadVersionData(versionPath, category) {
 }
 
 /**
- * Загружает все данные версии (series, models, lengths)
+ * Загружает все данные версии (series, models, lengths) и хэши объектов по категориям
  */
 function loadVersion(versionPath) {
+  const hashes = { series: {}, models: {}, lengths: {} };
   return {
-    series: loadVersionData(versionPath, 'series'),
-    models: loadVersionData(versionPath, 'models'),
-    lengths: loadVersionData(versionPath, 'lengths')
+    series: loadVersionData(versionPath, 'series', hashes.series),
+    models: loadVersionData(versionPath, 'models', hashes.models),
+    lengths: loadVersionData(versionPath, 'lengths', hashes.lengths),
+    hashes: hashes
   };
 }
 
+/**
+ * Считает, сколько объектов изменилось по каждому полю (JSON Pointer)
+ * Поля упорядочены по убыванию числа изменений
+ */
+function countFieldChanges(changedItems) {
+  const counts = {};
+  for (const item of changedItems) {
+    for (const change of item.changes) {
+      counts[change.path] = (counts[change.path] || 0) + 1;
+    }
+  }
+  return Object.fromEntries(
+    Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+  );
+}
+
 /**
  * Сравнивает две версии данных и строит diff
  */
@@ -101,6 +287,8 @@ export async function buildDataDiff({ fromVersion, toVersion, basePath = "data"
   for (const category of ['series', 'models', 'lengths']) {
     const fromItems = fromData[category];
     const toItems = toData[category];
+    const fromHashes = fromData.hashes[category];
+    const toHashes = toData.hashes[category];
     
     const allIds = new Set([
       ...Object.keys(fromItems),
@@ -117,37 +305,52 @@ export async function buildDataDiff({ fromVersion, toVersion, basePath = "data"
       } else if (fromExists && !toExists) {
         // Удалено
         diff[category].removed.push(fromItems[id]);
+      } else if (fromHashes[id] && fromHashes[id] === toHashes[id]) {
+        // Тот же объект хранилища — файл не менялся, сравнивать поля не нужно
+        continue;
       } else {
-        // Проверяем на изменения (глубокое сравнение)
-        if (!deepEqual(fromItems[id], toItems[id])) {
-          // Изменено - только from и to
-          diff[category].changed.push({
-            from: fromItems[id],
-            to: toItems[id]
-          });
+        // Изменено — только изменившиеся поля (meta не учитывается)
+        const changes = diffFields(fromItems[id], toItems[id]);
+        if (changes.length > 0) {
+          const item = { id: id, slug: toItems[id].slug, changes: changes };
+          // Тот же id под новым slug — переименование
+          if (fromItems[id].slug !== toItems[id].slug) {
+            item.renamedFrom = fromItems[id].slug;
+            item.matchedBy = 'id';
+          }
+          diff[category].changed.push(item);
         }
       }
     }
+
+    // Удаление + добавление одного и того же объекта под новым slug — переименование
+    // Только для объектов без id: разные id — разные сущности (см. assignIds в identity.mjs)
+    const withoutId = item => !item.id;
+    const matched = matchRenames(diff[category].removed.filter(withoutId), diff[category].added.filter(withoutId), category);
+    diff[category].removed = diff[category].removed.filter(item => item.id || matched.removed.includes(item));
+    diff[category].added = diff[category].added.filter(item => item.id || matched.added.includes(item));
+    for (const { from, to, matchedBy } of matched.renamed) {
+      diff[category].changed.push({
+        id: getEntityId(to, category),
+        slug: to.slug,
+        renamedFrom: from.slug,
+        matchedBy: matchedBy,
+        changes: diffFields(from, to)
+      });
+    }
   }
   
   // Вычисляем summary
-  const summary = {
-    series: {
-      added: diff.series.added.length,
-      removed: diff.series.removed.length,
-      changed: diff.series.changed.length
-    },
-    models: {
-      added: diff.models.added.length,
-      removed: diff.models.removed.length,
-      changed: diff.models.changed.length
-    },
-    lengths: {
-      added: diff.lengths.added.length,
-      removed: diff.lengths.removed.length,
-      changed: diff.lengths.changed.length
-    }
-  };
+  const summary = {};
+  for (const category of ['series', 'models', 'lengths']) {
+    summary[category] = {
+      added: diff[category].added.length,
+      removed: diff[category].removed.length,
+      changed: diff[category].changed.length,
+      renamed: diff[category].changed.filter(item => item.renamedFrom).length,
+      fields: countFieldChanges(diff[category].changed)
+    };
+  }
   
   // Формируем итоговый объект diff
   const result = {
@@ -216,6 +419,9 @@ export async function compareVersions(oldVersionId = null, newVersionId = 'curre
   // Сохраняем diff
   const diffPath = await saveDataDiff(diff);
   
+  // Редиректы со старых path переименованных объектов
+  const redirects = updateRedirects(diff);
+  
   // Выводим статистику
   console.log('\n' + '='.repeat(60));
   console.log('📊 РЕЗУЛЬТАТЫ СРАВНЕНИЯ');
@@ -223,12 +429,13 @@ export async function compareVersions(oldVersionId = null, newVersionId = 'curre
   console.log(`Старая версия: ${fromVersion}`);
   console.log(`Новая версия: ${toVersion}`);
   console.log('\nSeries:');
-  console.log(`  Добавлено: ${diff.summary.series.added}, Удалено: ${diff.summary.series.removed}, Изменено: ${diff.summary.series.changed}`);
+  console.log(`  Добавлено: ${diff.summary.series.added}, Удалено: ${diff.summary.series.removed}, Изменено: ${diff.summary.series.changed} (переименовано: ${diff.summary.series.renamed})`);
   console.log('\nModels:');
-  console.log(`  Добавлено: ${diff.summary.models.added}, Удалено: ${diff.summary.models.removed}, Изменено: ${diff.summary.models.changed}`);
+  console.log(`  Добавлено: ${diff.summary.models.added}, Удалено: ${diff.summary.models.removed}, Изменено: ${diff.summary.models.changed} (переименовано: ${diff.summary.models.renamed})`);
   console.log('\nLengths:');
-  console.log(`  Добавлено: ${diff.summary.lengths.added}, Удалено: ${diff.summary.lengths.removed}, Изменено: ${diff.summary.lengths.changed}`);
+  console.log(`  Добавлено: ${diff.summary.lengths.added}, Удалено: ${diff.summary.lengths.removed}, Изменено: ${diff.summary.lengths.changed} (переименовано: ${diff.summary.lengths.renamed})`);
   console.log(`\nDiff сохранён: ${diffPath}`);
+  console.log(`Редиректы: новых ${redirects.added}, всего ${redirects.total} (${redirects.paths.json}), на проверке ${redirects.pending} (${redirects.paths.pending})`);
   console.log('='.repeat(60));
   
   return {
@@ -0,0 +1,247 @@
+import fs from "fs";
+import path from "path";
+import { entityKey } from "./slugs.mjs";
+
+/**
+ * Реестр идентификаторов IWDC — хранится между сборками, удалять нельзя
+ */
+export const ID_REGISTRY_PATH = 'data/registry/ids.json';
+
+/**
+ * Префиксы идентификаторов по типу сущности: IWDC-S-000001, IWDC-M-000001, IWDC-L-000001
+ */
+export const ID_PREFIXES = {
+  series: 'S',
+  model: 'M',
+  length: 'L'
+};
+
+/**
+ * Идентификатор IWDC (должен совпадать с pattern поля id в схемах)
+ */
+export const ID_PATTERN = /^IWDC-[SML]-\d{6,}$/;
+
+/**
+ * Ключ по размерам: серия, высота, ширина, число труб (и длина для длин)
+ * Переживает смену кода модели; null, если размеров нет
+ */
+export function dimensionsKey(series, height, width, tubes, length) {
+  const dimensions = [height, width, tubes];
+  if (dimensions.some(value => value === undefined || value === null || value === '')) {
+    return null;
+  }
+  const key = `${series}:${dimensions.join('x')}`;
+  return length === undefined ? key : `${key}:${length}`;
+}
+
+/**
+ * Поля исполнения, различающие изделия одинаковых размеров: тип из артикула и атрибуты модели
+ */
+export const VARIANT_FIELDS = ['type', 'material', 'finish', 'connection'];
+
+/**
+ * Ключ изделия: размеры (см. dimensionsKey) и исполнение из VARIANT_FIELDS
+ * null, если размеров или исполнения нет — по одним размерам изделия не сопоставляются
+ * @param {Object} fields - { series, height, width, tubes, length, type, material, finish, connection }
+ * @param {boolean} withLength - учитывать длину (для длин)
+ */
+export function productKey(fields, withLength = false) {
+  const key = dimensionsKey(fields.series, fields.height, fields.width, fields.tubes, withLength ? fields.length : undefined);
+  const variant = VARIANT_FIELDS
+    .filter(field => fields[field] !== undefined && fields[field] !== null && fields[field] !== '')
+    .map(field => `${field}=${fields[field]}`);
+  if (key === null || variant.length === 0) {
+    return null;
+  }
+  return `${key}|${variant.join('|')}`;
+}
+
+/**
+ * Идентификатор сущности для сравнения версий и changelog:
+ * id IWDC, для данных без него — прежние ключи (код серии, slug)
+ * @param {string} category - series, models или lengths
+ */
+export function getEntityId(obj, category) {
+  if (obj.id) {
+    return obj.id;
+  }
+  if (category === 'series') {
+    return obj.series || obj.slug || null;
+  }
+  if (category === 'models') {
+    return obj.slug || obj.model_code || null;
+  }
+  return obj.slug || null;
+}
+
+/**
+ * Загружает реестр идентификаторов
+ * Возвращает { next: { тип: номер }, entities: [{ id, type, key, aliases, dimensions, created }] }
+ */
+export function loadIdRegistry(registryPath = ID_REGISTRY_PATH) {
+  const fullPath = path.resolve(process.cwd(), registryPath);
+  if (!fs.existsSync(fullPath)) {
+    return { next: { series: 1, model: 1, length: 1 }, entities: [] };
+  }
+
+  const registry = JSON.parse(fs.readFileSync(fullPath, 'utf-8'));
+  const ids = new Set();
+  for (const entry of registry.entities) {
+    if (!ID_PATTERN.test(entry.id) || ids.has(entry.id)) {
+      throw new Error(`${registryPath}: некорректный или повторяющийся идентификатор "${entry.id}"`);
+    }
+    ids.add(entry.id);
+  }
+  return registry;
+}
+
+/**
+ * Сохраняет реестр, если он изменился
+ * Возвращает true, если файл записан
+ */
+export function saveIdRegistry(registry, registryPath = ID_REGISTRY_PATH) {
+  const fullPath = path.resolve(process.cwd(), registryPath);
+  const content = JSON.stringify({
+    next: registry.next,
+    entities: [...registry.entities].sort((a, b) => a.id.localeCompare(b.id))
+  }, null, 2) + '\n';
+
+  if (fs.existsSync(fullPath) && fs.readFileSync(fullPath, 'utf-8') === content) {
+    return false;
+  }
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+  fs.writeFileSync(fullPath, content, 'utf-8');
+  return true;
+}
+
+/**
+ * Ключи сущности для реестра: key — не зависящий от slug (см. entityKey в slugs.mjs),
+ * dimensions — ключ изделия (см. productKey) для подсказок о смене кода
+ */
+export function identityOf(type, entity) {
+  return {
+    type: type,
+    key: entityKey(type, entity),
+    dimensions: type === 'series' ? null : productKey(entity, type === 'length')
+  };
+}
+
+/**
+ * Находит сущности сборки с одинаковым key — они получили бы один идентификатор
+ * (например, длины ВК.65.160.600.2ТП и ВК.65.160.600.2П одной модели или повторяющаяся строка)
+ * Возвращает [{ key, items: [индексы в items] }]
+ */
+export function findKeyCollisions(items) {
+  const byKey = new Map();
+  items.forEach((item, index) => {
+    if (!byKey.has(item.key)) {
+      byKey.set(item.key, []);
+    }
+    byKey.get(item.key).push(index);
+  });
+  return [...byKey.entries()]
+    .filter(([, indexes]) => indexes.length > 1)
+    .map(([key, indexes]) => ({ key, items: indexes }));
+}
+
+/**
+ * Назначает идентификаторы сущностям сборки
+ * 1. По key или прежнему ключу из aliases (если основного ключа записи нет в сборке).
+ *    Ключ, добавленный в aliases вручную, подтверждает смену кода: он важнее основного ключа
+ *    другой записи, которая тогда помечается replacedBy
+ * 2. Иначе — новый идентификатор; номера не переиспользуются
+ * По размерам идентификаторы не переносятся: если новая сущность совпадает по ключу изделия
+ * с записью, пропавшей в этой же сборке, это только подсказка (suggestions) —
+ * перенос подтверждается добавлением нового ключа в aliases прежней записи
+ * Ключи сущностей сборки должны быть уникальны (см. findKeyCollisions), иначе — ошибка
+ * до изменения реестра
+ * Изменяет registry (active — запись встретилась в последней сборке);
+ * возвращает { ids: Map key → id, created: [id], renamed: [{ id, from, to }], suggestions: [{ id, from, to, newId }] }
+ * @param {Object} registry - результат loadIdRegistry()
+ * @param {Array} items - [{ type, key, dimensions }] из identityOf()
+ * @param {string} date - дата сборки для новых записей
+ */
+export function assignIds(registry, items, date) {
+  const collisions = findKeyCollisions(items);
+  if (collisions.length > 0) {
+    throw new Error(`Несколько сущностей сборки с одним ключом: ${collisions.map(collision => collision.key).join(', ')}`);
+  }
+
+  const ids = new Map();
+  const created = [];
+  const renamed = [];
+  const suggestions = [];
+  const currentKeys = new Set(items.map(item => item.key));
+  const live = registry.entities.filter(entry => !entry.replacedBy);
+  const wasActive = new Set(live.filter(entry => entry.active !== false).map(entry => entry.id));
+
+  const byKey = new Map();
+  for (const entry of live) {
+    byKey.set(entry.key, entry);
+  }
+  for (const entry of live) {
+    if (!currentKeys.has(entry.key)) {
+      for (const alias of entry.aliases) {
+        byKey.set(alias, entry);
+      }
+    }
+  }
+
+  const assigned = new Set();
+  for (const item of items) {
+    const entry = byKey.get(item.key);
+    if (entry && !assigned.has(entry.id)) {
+      if (entry.key !== item.key) {
+        // Вернулся прежний код или подтверждена смена кода
+        const displaced = live.find(other => other !== entry && other.key === item.key);
+        if (displaced) {
+          displaced.replacedBy = entry.id;
+        }
+        entry.aliases = [...entry.aliases.filter(alias => alias !== item.key), entry.key];
+        renamed.push({ id: entry.id, from: entry.key, to: item.key });
+        entry.key = item.key;
+      }
+      entry.dimensions = item.dimensions;
+      assigned.add(entry.id);
+      ids.set(item.key, entry.id);
+      continue;
+    }
+
+    const number = registry.next[item.type];
+    registry.next[item.type] = number + 1;
+    const id = `IWDC-${ID_PREFIXES[item.type]}-${String(number).padStart(6, '0')}`;
+    registry.entities.push({
+      id: id,
+      type: item.type,
+      key: item.key,
+      aliases: [],
+      dimensions: item.dimensions,
+      created: date
+    });
+    created.push(id);
+    assigned.add(id);
+    ids.set(item.key, id);
+  }
+
+  // Подсказки о смене кода: ключ изделия однозначен среди пропавших в этой сборке и среди новых
+  const createdIds = new Set(created);
+  const vanished = live.filter(entry => wasActive.has(entry.id) && !assigned.has(entry.id) && entry.dimensions);
+  const fresh = items.filter(item => createdIds.has(ids.get(item.key)) && item.dimensions);
+  const sameProduct = (a, b) => a.type === b.type && a.dimensions === b.dimensions;
+  for (const item of fresh) {
+    const candidates = vanished.filter(entry => sameProduct(entry, item));
+    if (candidates.length === 1 && fresh.filter(other => sameProduct(other, item)).length === 1) {
+      suggestions.push({ id: candidates[0].id, from: candidates[0].key, to: item.key, newId: ids.get(item.key) });
+    }
+  }
+
+  for (const entry of registry.entities) {
+    entry.active = assigned.has(entry.id);
+    // Прежний ключ, занятый другой сущностью, больше не указывает на эту запись
+    entry.aliases = entry.aliases.filter(alias => ids.get(alias) === undefined || ids.get(alias) === entry.id);
+  }
+
+  return { ids, created, renamed, suggestions };
+}
+
+export default assignIds;
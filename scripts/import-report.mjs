@@ -0,0 +1,154 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Каталог отчёта об импорте по умолчанию
+ */
+export const IMPORT_REPORT_DIR = 'data/reports';
+
+/**
+ * Уровни проблем:
+ * - error — строка отклонена и не попала в CSV
+ * - warning — строка импортирована, но значение ячейки подозрительное и не перенесено
+ */
+export const SEVERITIES = ['error', 'warning'];
+
+/**
+ * Строго разбирает число из ячейки
+ * Пробелы (в т.ч. неразрывные) игнорируются, десятичная запятая допускается
+ * Строки, где запятая может оказаться разделителем тысяч ("12,500", "1,250.50", "1,234,567"),
+ * неоднозначны и считаются нечисловыми — их нельзя молча пересчитать в 12.5
+ * Возвращает { value, valid }: пустая ячейка — { value: null, valid: true },
+ * нечисловое значение — { value: null, valid: false }
+ */
+export function parseNumber(raw) {
+  if (raw === null || raw === undefined) {
+    return { value: null, valid: true };
+  }
+  if (typeof raw === 'number') {
+    return Number.isFinite(raw) ? { value: raw, valid: true } : { value: null, valid: false };
+  }
+  const str = String(raw).replace(/[\s ]/g, '');
+  if (str === '') {
+    return { value: null, valid: true };
+  }
+  const commas = (str.match(/,/g) || []).length;
+  if (commas > 1 || (commas === 1 && str.includes('.')) || /^[-+]?\d{1,3},\d{3}$/.test(str)) {
+    return { value: null, valid: false };
+  }
+  const value = Number(str.replace(',', '.'));
+  return Number.isFinite(value) ? { value, valid: true } : { value: null, valid: false };
+}
+
+/**
+ * Создаёт запись о проблемной ячейке
+ */
+export function createImportIssue({ severity = 'error', source, sheet, row = null, column = null, field = null, value = null, reason }) {
+  return {
+    severity: severity,
+    source: source,
+    sheet: sheet,
+    row: row,
+    column: column,
+    cell: row !== null && column ? `${column}${row}` : null,
+    field: field,
+    value: value === null || value === undefined ? null : String(value),
+    reason: reason
+  };
+}
+
+/**
+ * Собирает отчёт об импорте
+ */
+export function buildImportReport(issues, { maxErrors = null } = {}) {
+  const errors = issues.filter(issue => issue.severity === 'error').length;
+
+  return {
+    generatedAt: new Date().toISOString(),
+    summary: {
+      issues: issues.length,
+      errors: errors,
+      warnings: issues.length - errors,
+      maxErrors: maxErrors
+    },
+    issues: issues
+  };
+}
+
+/**
+ * Экранирует строку для HTML
+ */
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Форматирует отчёт в HTML-таблицу для редакторов каталога
+ */
+export function formatImportReportHtml(report) {
+  const rows = report.issues.map(issue => `      <tr class="${issue.severity}">
+        <td>${issue.severity === 'error' ? 'Ошибка' : 'Предупреждение'}</td>
+        <td>${escapeHtml(issue.source)}</td>
+        <td>${escapeHtml(issue.sheet)}</td>
+        <td>${escapeHtml(issue.row)}</td>
+        <td>${escapeHtml(issue.column)}</td>
+        <td>${escapeHtml(issue.field)}</td>
+        <td><code>${escapeHtml(issue.value)}</code></td>
+        <td>${escapeHtml(issue.reason)}</td>
+      </tr>`);
+
+  return `<!DOCTYPE html>
+<html lang="ru">
+<head>
+  <meta charset="utf-8">
+  <title>IWDC — отчёт об импорте</title>
+  <style>
+    body { font-family: sans-serif; margin: 24px; }
+    table { border-collapse: collapse; }
+    th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+    th { background: #f0f0f0; }
+    tr.error td:first-child { color: #b00020; font-weight: bold; }
+    tr.warning td:first-child { color: #a05a00; }
+  </style>
+</head>
+<body>
+  <h1>Отчёт об импорте</h1>
+  <p>Дата: ${escapeHtml(report.generatedAt)}<br>
+  Ошибок: ${report.summary.errors}, предупреждений: ${report.summary.warnings}</p>
+  <table>
+    <thead>
+      <tr><th>Уровень</th><th>Источник</th><th>Лист</th><th>Строка</th><th>Колонка</th><th>Поле</th><th>Значение</th><th>Причина</th></tr>
+    </thead>
+    <tbody>
+${rows.join('\n')}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Сохраняет отчёт в <dir>/import-report.json и <dir>/import-report.html
+ */
+export function saveImportReport(report, dir = IMPORT_REPORT_DIR) {
+  const reportDir = path.resolve(process.cwd(), dir);
+
+  if (!fs.existsSync(reportDir)) {
+    fs.mkdirSync(reportDir, { recursive: true });
+  }
+
+  const jsonPath = path.join(reportDir, 'import-report.json');
+  const htmlPath = path.join(reportDir, 'import-report.html');
+
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2) + '\n', 'utf-8');
+  fs.writeFileSync(htmlPath, formatImportReportHtml(report), 'utf-8');
+
+  return { jsonPath, htmlPath };
+}
+
+export default buildImportReport;
@@ -1,8 +1,39 @@
 import fs from "fs";
 import path from "path";
 import { parse } from "csv-parse/sync";
-import Ajv from "ajv";
-import addFormats from "ajv-formats";
+import { loadSchemas } from "./schemas.mjs";
+import { hashContent } from "./content-hash.mjs";
+import { syncEntityFiles, formatSyncSummary, parseOrphansMode } from "./json-sync.mjs";
+import { MODEL_ATTRIBUTES } from "./article-attributes.mjs";
+import { parseRegimeColumn, formatRegime, regimeDeltaT } from "./thermal-regimes.mjs";
+import { loadLocalizedSources, localizeEntity, getUnusedLocalizedKeys } from "./locales.mjs";
+import { loadSeoTemplates, renderSeo, saveSeoReport, seoLimits } from "./seo-templates.mjs";
+import { loadSlugConfig, seriesUrl, modelUrl, lengthUrl, entityKey } from "./slugs.mjs";
+import { loadIdRegistry, saveIdRegistry, identityOf, assignIds, findKeyCollisions, VARIANT_FIELDS, ID_REGISTRY_PATH } from "./identity.mjs";
+
+/**
+ * Версия формата данных в meta.version
+ */
+const META_VERSION = '0.1.0';
+
+/**
+ * Технические характеристики (блок specs): колонка CSV → тип значения и единица измерения
+ * Величины с единицей записываются как { value, unit }, без единицы — как есть
+ */
+const SPEC_FIELDS = {
+  height: { type: 'integer', unit: 'mm' },
+  width: { type: 'integer', unit: 'mm' },
+  length: { type: 'integer', unit: 'mm' },
+  tubes: { type: 'integer' },
+  type: { type: 'string' },
+  weight: { type: 'number', unit: 'kg' },
+  heat_output: { type: 'number', unit: 'W' }
+};
+
+/**
+ * Характеристики модели — общие для всех её длин
+ */
+const MODEL_SPEC_FIELDS = ['height', 'width', 'tubes', 'type'];
 
 /**
  * Читает CSV файл и возвращает массив объектов
@@ -19,72 +50,179 @@ function readCSV(file) {
 }
 
 /**
- * Преобразует строку в slug (lowercase, транслитерация кириллицы)
+ * Возвращает дату сборки в ISO 8601
+ * Переменная окружения SOURCE_DATE_EPOCH (секунды) фиксирует дату
+ * для воспроизводимой сборки с нуля
  */
-function toSlug(str) {
-  return str.toLowerCase().replace(/[А-ЯЁ]/g, char => {
-    const map = {
-      'А': 'a', 'Б': 'b', 'В': 'v', 'Г': 'g', 'Д': 'd', 'Е': 'e', 'Ё': 'e',
-      'Ж': 'zh', 'З': 'z', 'И': 'i', 'Й': 'y', 'К': 'k', 'Л': 'l', 'М': 'm',
-      'Н': 'n', 'О': 'o', 'П': 'p', 'Р': 'r', 'С': 's', 'Т': 't', 'У': 'u',
-      'Ф': 'f', 'Х': 'h', 'Ц': 'ts', 'Ч': 'ch', 'Ш': 'sh', 'Щ': 'sch',
-      'Ъ': '', 'Ы': 'y', 'Ь': '', 'Э': 'e', 'Ю': 'yu', 'Я': 'ya'
-    };
-    return map[char] || char;
-  });
+function getBuildDate() {
+  const epoch = process.env.SOURCE_DATE_EPOCH;
+  if (epoch !== undefined && epoch !== '') {
+    const seconds = Number(epoch);
+    if (!Number.isInteger(seconds) || seconds < 0) {
+      throw new Error(`Некорректное значение SOURCE_DATE_EPOCH: ${epoch}`);
+    }
+    return new Date(seconds * 1000).toISOString();
+  }
+  return new Date().toISOString();
 }
 
 /**
- * Генерирует slug из series и modelCode
- * Точки заменяются на дефисы, всё в lowercase
- * Если указан length, добавляется к slug
+ * Читает meta ранее записанного JSON файла сущности
+ * Возвращает null, если файла нет или он не читается
  */
-function generateSlug(series, modelCode, length) {
-  let combined = `${series}.${modelCode}`;
-  if (length !== undefined && length !== null) {
-    combined = `${combined}.${length}`;
+function loadPreviousMeta(file) {
+  if (!fs.existsSync(file)) {
+    return null;
   }
-  return combined.toLowerCase().replace(/\./g, '-');
+  try {
+    const previous = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    return previous && previous.meta ? previous.meta : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Создает объект meta для полностью построенной сущности
+ * Хэш считается по каноническому JSON содержимого (без meta).
+ * Если хэш совпадает с предыдущей сборкой, meta.updated сохраняется —
+ * неизменённые файлы остаются побайтно идентичными
+ */
+function createMeta(entity, previousMeta, buildDate) {
+  const hash = hashContent(entity);
+  const unchanged = previousMeta && previousMeta.hash === hash && previousMeta.updated;
+
+  return {
+    version: META_VERSION,
+    updated: unchanged ? previousMeta.updated : buildDate,
+    hash: hash
+  };
 }
 
 /**
- * Генерирует хеш для объекта
+ * Добавляет meta к построенной сущности
+ * Предыдущая версия ищется в dir по slug сущности
  */
-function generateHash(obj) {
-  const crypto = require('crypto');
-  const str = JSON.stringify(obj);
-  return crypto.createHash('sha256').update(str).digest('hex').substring(0, 16);
+function stampMeta(entity, dir, buildDate) {
+  const previousMeta = loadPreviousMeta(path.join(dir, `${entity.slug}.json`));
+  entity.meta = createMeta(entity, previousMeta, buildDate);
+  return entity;
 }
 
 /**
- * Создает объект meta
+ * Строит блок specs из колонок CSV строки
+ * Пустые и отсутствующие колонки пропускаются
  */
-function createMeta(data) {
-  const now = new Date().toISOString();
-  const hash = generateHash(data);
-  return {
-    version: '0.1.0',
-    updated: now,
-    hash: hash
+function buildSpecs(row, fields) {
+  const specs = {};
+
+  for (const field of fields) {
+    const raw = row[field];
+    if (raw === undefined || raw === '') {
+      continue;
+    }
+
+    const { type, unit } = SPEC_FIELDS[field];
+    let value = raw;
+    if (type === 'integer') {
+      value = parseInt(raw, 10);
+    } else if (type === 'number') {
+      value = parseFloat(raw);
+    }
+    if (type !== 'string' && Number.isNaN(value)) {
+      continue;
+    }
+
+    specs[field] = unit ? { value: value, unit: unit } : value;
+  }
+
+  return specs;
+}
+
+/**
+ * Строит блок thermal: основная теплоотдача и, при наличии колонок
+ * thermal_<подача>_<обратка>_<воздух>, теплоотдача по режимам
+ */
+function buildThermal(row) {
+  const heatOutput = row.heat_output ? parseFloat(row.heat_output) : 0;
+  const thermal = {
+    watt: Math.round(heatOutput)
   };
+
+  const regimes = [];
+  for (const [column, value] of Object.entries(row)) {
+    const regime = parseRegimeColumn(column);
+    if (regime && value !== '') {
+      regimes.push({
+        regime: formatRegime(regime),
+        ...regime,
+        delta_t: regimeDeltaT(regime),
+        watt: Math.round(parseFloat(value))
+      });
+    }
+  }
+
+  if (regimes.length > 0) {
+    thermal.regimes = regimes;
+  }
+  if (row.thermal_exponent) {
+    thermal.exponent = parseFloat(row.thermal_exponent);
+  }
+
+  return thermal;
+}
+
+/**
+ * Строит JSON объект для серии из CSV строки
+ * @param {string} id - идентификатор IWDC
+ * @param {Array} modelIds - идентификаторы моделей серии
+ */
+function buildSeriesJSON(row, id, modelIds, slugConfig) {
+  const { slug, path: seriesPath } = seriesUrl(row.series, slugConfig);
+  
+  const series = {
+    id: id,
+    series: row.series,
+    slug: slug,
+    path: seriesPath,
+    title: row.title,
+    order: parseInt(row.order, 10),
+    models: modelIds
+  };
+  
+  if (row.description) {
+    series.description = row.description;
+  }
+  
+  return series;
 }
 
 /**
  * Строит JSON объект для модели из CSV строки
  */
-function buildModelJSON(row) {
+function buildModelJSON(row, id, slugConfig) {
   const articleBase = row.article_base || row.article_full;
-  const slug = toSlug(articleBase);
   const series = row.series || 'VK';
+  const { slug, path: modelPath } = modelUrl(series, articleBase, slugConfig);
   
+  // Атрибуты из словаря маппинга (колонки models.csv); несопоставленный код (null в словаре)
+  // или отсутствие словаря — атрибута в модели нет
+  const attributes = {};
+  for (const attribute of MODEL_ATTRIBUTES) {
+    if (row[attribute]) {
+      attributes[attribute] = row[attribute];
+    }
+  }
+
   const model = {
+    id: id,
     series: series,
     model_code: articleBase,
     slug: slug,
-    path: `/${series.toLowerCase()}/${slug}`,
-    material: 'none',
-    lengths: [],
-    meta: createMeta(row)
+    path: modelPath,
+    ...attributes,
+    specs: buildSpecs(row, MODEL_SPEC_FIELDS),
+    lengths: []
   };
   
   return model;
@@ -93,77 +231,143 @@ function buildModelJSON(row) {
 /**
  * Строит JSON объект для длины из CSV строки
  */
-function buildLengthJSON(row) {
+function buildLengthJSON(row, id, slugConfig) {
   const articleFull = row.article_full;
   const articleBase = row.article_base;
-  const slug = toSlug(articleFull);
   const series = row.series || 'VK';
   
   const length = parseInt(row.length, 10);
-  const heatOutput = row.heat_output ? parseFloat(row.heat_output) : 0;
+  const { slug, path: lengthPath } = lengthUrl(series, articleBase, articleFull, length, slugConfig);
   
-  // Преобразуем цены (используем price_o как side, price_p как bottom)
-  const priceSide = row.price_o ? parseInt(row.price_o, 10) : (row.price_p ? parseInt(row.price_p, 10) : 0);
-  const priceBottom = row.price_p ? parseInt(row.price_p, 10) : (row.price_o ? parseInt(row.price_o, 10) : 0);
+  // Преобразуем цены: колонка price_<id> → price.<id> (позиции задаются блоком "prices" маппинга)
+  const price = {};
+  for (const [column, value] of Object.entries(row)) {
+    if (column.startsWith('price_') && value !== '') {
+      price[column.substring('price_'.length)] = parseInt(value, 10);
+    }
+  }
   
   const lengthObj = {
+    id: id,
     series: series,
     model_code: articleBase,
     length: length,
     slug: slug,
-    path: `/${series.toLowerCase()}/${toSlug(articleBase)}/${length}`,
-    thermal: {
-      watt: Math.round(heatOutput)
-    },
-    price: {
-      side: priceSide,
-      bottom: priceBottom
-    },
-    meta: createMeta(row)
+    path: lengthPath,
+    specs: buildSpecs(row, Object.keys(SPEC_FIELDS)),
+    thermal: buildThermal(row),
+    price: price
   };
   
   return lengthObj;
 }
 
 /**
- * Записывает JSON файл
+ * Поля строки CSV, по которым определяется идентичность сущности (см. identityOf)
  */
-function writeJSON(file, data) {
-  // Создаём директорию, если её нет
-  const dir = path.dirname(file);
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
+function identityFields(type, row) {
+  const series = row.series || 'VK';
+  if (type === 'series') {
+    return { series: row.series };
   }
-  
-  // Форматируем JSON с отступами
-  const jsonContent = JSON.stringify(data, null, 2);
-  
-  // Записываем файл
-  fs.writeFileSync(file, jsonContent, 'utf-8');
+  const fields = {
+    series: series,
+    model_code: row.article_base || row.article_full,
+    height: row.height,
+    width: row.width,
+    tubes: row.tubes
+  };
+  for (const field of VARIANT_FIELDS) {
+    fields[field] = row[field];
+  }
+  if (type === 'length') {
+    fields.length = parseInt(row.length, 10);
+  }
+  return fields;
 }
 
-export async function importVitronCSV() {
-  const ajv = new Ajv({ allErrors: true });
-  addFormats(ajv);
+/**
+ * Импортирует CSV в data/json
+ * @param {Object} options - { orphans } — обработка файлов сущностей, которых нет в CSV
+ * (delete, quarantine или keep, см. scripts/json-sync.mjs)
+ */
+export async function importVitronCSV({ orphans = 'delete' } = {}) {
+  const {
+    schemas,
+    series: validateSeries,
+    model: validateModel,
+    length: validateLength
+  } = loadSchemas();
+
+  const seriesDir = path.join(process.cwd(), 'data', 'json', 'series');
+  const modelsDir = path.join(process.cwd(), 'data', 'json', 'models');
+  const lengthsDir = path.join(process.cwd(), 'data', 'json', 'lengths');
+  const buildDate = getBuildDate();
+  const slugConfig = loadSlugConfig();
 
-  const modelSchema = JSON.parse(fs.readFileSync("schemas/model.schema.json", "utf8"));
-  const lengthSchema = JSON.parse(fs.readFileSync("schemas/length.schema.json", "utf8"));
+  // Языки, тексты и шаблоны SEO сущностей (sources/texts/)
+  const localized = loadLocalizedSources();
+  const seoTemplates = loadSeoTemplates(localized.config);
+  const seoFieldLimits = seoLimits(schemas['seo.schema.json']);
+  const seoTruncated = [];
 
-  const validateModel = ajv.compile(modelSchema);
-  const validateLength = ajv.compile(lengthSchema);
+  // Добавляет тексты и SEO по языкам; SEO без строки в seo.csv строится по шаблону серии
+  const localize = (entity, type, code, baseTexts = null) => {
+    const generatedSeo = {};
+    for (const { code: locale } of localized.config.locales) {
+      const rendered = renderSeo(seoTemplates, entity.series, locale, type, entity, {
+        limits: seoFieldLimits,
+        transliteration: slugConfig.transliteration
+      });
+      if (!rendered) {
+        continue;
+      }
+      generatedSeo[locale] = rendered.block;
+      if (rendered.truncated.length > 0) {
+        seoTruncated.push({ type, slug: entity.slug, locale, fields: rendered.truncated });
+      }
+    }
+    return localizeEntity(entity, type, code, localized, { baseTexts, generatedSeo });
+  };
 
   console.log('📖 Загрузка CSV файлов...');
   
   // Читаем CSV файлы
+  const seriesCsvPath = path.join(process.cwd(), 'intermediate', 'csv', 'series.csv');
   const modelsCsvPath = path.join(process.cwd(), 'intermediate', 'csv', 'models.csv');
   const lengthsCsvPath = path.join(process.cwd(), 'intermediate', 'csv', 'lengths.csv');
   
+  const seriesRows = readCSV(seriesCsvPath);
   const modelsRows = readCSV(modelsCsvPath);
   const lengthsRows = readCSV(lengthsCsvPath);
   
+  console.log(`   Загружено серий: ${seriesRows.length}`);
   console.log(`   Загружено моделей: ${modelsRows.length}`);
   console.log(`   Загружено длин: ${lengthsRows.length}`);
   
+  // Идентификаторы IWDC: из реестра, для новых сущностей — новые
+  const registry = loadIdRegistry();
+  const rowsByType = { series: seriesRows, model: modelsRows, length: lengthsRows };
+  const identityRows = Object.entries(rowsByType).flatMap(([type, rows]) => rows.map(row => ({ type, row })));
+  const identities = identityRows.map(({ type, row }) => identityOf(type, identityFields(type, row)));
+
+  // Строки с одним ключом получили бы один идентификатор: сборка останавливается до изменения реестра
+  const collisions = findKeyCollisions(identities);
+  if (collisions.length > 0) {
+    collisions.forEach(collision => console.error(
+      `   ❌ ${collision.key}: ${collision.items.map(index => identityRows[index].row.article_full || identityRows[index].row.series).join(', ')}`
+    ));
+    throw new Error(`Строки CSV с одинаковым ключом сущности: ${collisions.length} (идентификаторы не назначены)`);
+  }
+  const { ids, created: createdIds, renamed: renamedIds, suggestions } = assignIds(registry, identities, buildDate);
+  const idFor = (type, row) => ids.get(entityKey(type, identityFields(type, row)));
+  console.log(`   Идентификаторы: новых ${createdIds.length}, сменивших код ${renamedIds.length}`);
+  renamedIds.forEach(item => console.log(`   🔁 ${item.id}: ${item.from} → ${item.to}`));
+  suggestions.forEach(item => console.log(
+    `   ⚠️  ${item.newId} (${item.to}) совпадает по размерам и исполнению с ${item.id} (${item.from}), пропавшим в этой сборке. ` +
+    `Если это смена кода, добавьте "${item.to}" в aliases ${item.id} в ${ID_REGISTRY_PATH}`
+  ));
+  
   // Группируем длины по моделям
   const lengthsByModel = {};
   lengthsRows.forEach(row => {
@@ -181,14 +385,13 @@ export async function importVitronCSV() {
   
   for (const row of modelsRows) {
     try {
-      const model = buildModelJSON(row);
+      const model = buildModelJSON(row, idFor('model', row), slugConfig);
       
-      // Добавляем список длин для модели
+      // Добавляем идентификаторы длин модели
       const modelLengths = lengthsByModel[model.model_code] || [];
-      model.lengths = modelLengths.map(l => {
-        const lengthSlug = toSlug(l.article_full);
-        return lengthSlug;
-      });
+      model.lengths = modelLengths.map(l => idFor('length', l));
+      localize(model, 'model', model.model_code);
+      stampMeta(model, modelsDir, buildDate);
       
       // Валидируем
       const valid = validateModel(model);
@@ -213,6 +416,48 @@ export async function importVitronCSV() {
     console.log(`   ⚠️  Ошибок: ${modelErrors}`);
   }
   
+  // Обрабатываем серии (после моделей — в серию попадают только валидные модели)
+  console.log('\n🔨 Построение JSON для серий...');
+  const seriesOutput = [];
+  let seriesErrors = 0;
+  
+  for (const row of seriesRows) {
+    try {
+      const modelIds = modelsOutput
+        .filter(model => model.series === row.series)
+        .map(model => model.id);
+      const seriesObj = buildSeriesJSON(row, idFor('series', row), modelIds, slugConfig);
+      // Название и описание из маппинга — тексты языка по умолчанию, если их нет в texts.csv
+      const baseTexts = { title: row.title };
+      if (row.description) {
+        baseTexts.description = row.description;
+      }
+      localize(seriesObj, 'series', row.series, baseTexts);
+      stampMeta(seriesObj, seriesDir, buildDate);
+      
+      // Валидируем
+      const valid = validateSeries(seriesObj);
+      if (!valid) {
+        seriesErrors++;
+        console.error(`   ❌ Ошибка валидации серии ${seriesObj.series}:`);
+        validateSeries.errors.forEach(err => {
+          console.error(`      - ${err.instancePath || '/'}: ${err.message}`);
+        });
+        continue;
+      }
+      
+      seriesOutput.push(seriesObj);
+    } catch (error) {
+      seriesErrors++;
+      console.error(`   ❌ Ошибка обработки серии ${row.series}: ${error.message}`);
+    }
+  }
+  
+  console.log(`   ✅ Обработано серий: ${seriesOutput.length}`);
+  if (seriesErrors > 0) {
+    console.log(`   ⚠️  Ошибок: ${seriesErrors}`);
+  }
+  
   // Обрабатываем длины
   console.log('\n🔨 Построение JSON для длин...');
   const lengthsOutput = [];
@@ -220,7 +465,8 @@ export async function importVitronCSV() {
   
   for (const row of lengthsRows) {
     try {
-      const lengthObj = buildLengthJSON(row);
+      const lengthObj = localize(buildLengthJSON(row, idFor('length', row), slugConfig), 'length', row.article_full);
+      stampMeta(lengthObj, lengthsDir, buildDate);
       
       // Валидируем
       const valid = validateLength(lengthObj);
@@ -244,37 +490,97 @@ export async function importVitronCSV() {
   if (lengthErrors > 0) {
     console.log(`   ⚠️  Ошибок: ${lengthErrors}`);
   }
+
+  // Тексты для сущностей, которых нет в прайсе (опечатка в code или удалённая модель)
+  const unusedKeys = getUnusedLocalizedKeys(localized);
+  if (unusedKeys.length > 0) {
+    console.log(`\n⚠️  Тексты без сущности в texts.csv/seo.csv: ${unusedKeys.length}`);
+    unusedKeys.forEach(key => console.log(`   - ${key}`));
+  }
+
+  // Отчёт о SEO: поля, сокращённые до предельной длины, и повторяющиеся title
+  const { report: seoReport, reportPath: seoReportPath } = saveSeoReport([
+    ...seriesOutput.map(entity => ({ type: 'series', entity })),
+    ...modelsOutput.map(entity => ({ type: 'model', entity })),
+    ...lengthsOutput.map(entity => ({ type: 'length', entity }))
+  ], seoTruncated);
+  console.log(`\n🔎 SEO: сокращено полей ${seoReport.summary.truncated}, повторяющихся title ${seoReport.summary.duplicateTitles} (${seoReportPath})`);
+  for (const group of seoReport.duplicateTitles) {
+    console.log(`   ⚠️  [${group.locale}] "${group.title}": ${group.entities.join(', ')}`);
+  }
   
-  // Записываем JSON файлы
+  // Записываем JSON файлы: только изменённые, сироты удаляются или уходят в карантин
+  const errors = seriesErrors + modelErrors + lengthErrors;
+  const prune = errors === 0;
+
   console.log('\n💾 Запись JSON файлов...');
-  
-  const modelsDir = path.join(process.cwd(), 'data', 'json', 'models');
-  const lengthsDir = path.join(process.cwd(), 'data', 'json', 'lengths');
-  
-  // Записываем модели
-  for (const model of modelsOutput) {
-    const fileName = `${model.slug}.json`;
-    const filePath = path.join(modelsDir, fileName);
-    writeJSON(filePath, model);
+  if (!prune && orphans !== 'keep') {
+    console.log('   ⚠️  Есть ошибки построения — файлы-сироты не удаляются');
   }
-  
-  // Записываем длины
-  for (const lengthObj of lengthsOutput) {
-    const fileName = `${lengthObj.slug}.json`;
-    const filePath = path.join(lengthsDir, fileName);
-    writeJSON(filePath, lengthObj);
+
+  // Реестр сохраняется до записи файлов и при ошибках построения: записанные сущности
+  // несут новые идентификаторы, и их номера не должны выдаваться повторно
+  if (saveIdRegistry(registry)) {
+    console.log(`   ✅ Реестр идентификаторов: ${ID_REGISTRY_PATH}`);
   }
-  
-  console.log(`   ✅ Записано моделей: ${modelsOutput.length}`);
-  console.log(`   ✅ Записано длин: ${lengthsOutput.length}`);
-  
+
+  const categories = [
+    { title: 'Серии', dir: seriesDir, entities: seriesOutput },
+    { title: 'Модели', dir: modelsDir, entities: modelsOutput },
+    { title: 'Длины', dir: lengthsDir, entities: lengthsOutput }
+  ];
+  const files = { written: 0, unchanged: 0, deleted: 0, quarantined: 0 };
+
+  for (const category of categories) {
+    const result = syncEntityFiles(category.dir, category.entities, { orphans, prune });
+    console.log(`   ✅ ${category.title}: ${formatSyncSummary(result)}`);
+    for (const key of Object.keys(files)) {
+      files[key] += result[key].length;
+    }
+  }
+
   console.log('\n✨ Импорт завершён успешно!');
   
   return {
+    series: seriesOutput.length,
     models: modelsOutput.length,
     lengths: lengthsOutput.length,
-    errors: modelErrors + lengthErrors
+    files: files,
+    errors: errors
   };
 }
 
+// Если запущен напрямую
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const USAGE = 'Использование: node scripts/import-vitron-csv.mjs [--orphans delete|quarantine|keep]';
+  const args = process.argv.slice(2);
+  const options = {};
+
+  try {
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === '--orphans' && i + 1 < args.length) {
+        options.orphans = parseOrphansMode(args[i + 1]);
+        i++;
+      } else {
+        throw new Error(`Неизвестный аргумент: ${args[i]}`);
+      }
+    }
+  } catch (error) {
+    console.error(`❌ Ошибка: ${error.message}`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  importVitronCSV(options)
+    .then(result => {
+      if (result.errors > 0) {
+        process.exit(1);
+      }
+    })
+    .catch(error => {
+      console.error('❌ Ошибка:', error.message);
+      process.exit(1);
+    });
+}
+
 export default importVitronCSV;
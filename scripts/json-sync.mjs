@@ -0,0 +1,123 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Режимы обработки файлов-сирот (сущностей, которых больше нет в прайсе):
+ * - delete — файл удаляется
+ * - quarantine — файл переносится в каталог карантина
+ * - keep — файл остаётся на месте (прежнее поведение)
+ */
+export const ORPHAN_MODES = ['delete', 'quarantine', 'keep'];
+
+/**
+ * Каталог карантина по умолчанию
+ */
+export const QUARANTINE_DIR = 'data/quarantine';
+
+/**
+ * Проверяет режим обработки сирот (значение --orphans)
+ */
+export function parseOrphansMode(value) {
+  if (!ORPHAN_MODES.includes(value)) {
+    throw new Error(`Некорректный режим --orphans: ${value} (доступны: ${ORPHAN_MODES.join(', ')})`);
+  }
+  return value;
+}
+
+/**
+ * Сериализует сущность в формат файлов data/json (отступ 2 пробела)
+ */
+export function serializeEntity(data) {
+  return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Возвращает имена JSON файлов каталога (без подкаталогов и служебных файлов)
+ */
+function listJsonFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort();
+}
+
+/**
+ * Синхронизирует каталог сущностей с ожидаемым набором файлов
+ * - файл записывается, только если его содержимое (а значит, и meta.hash) изменилось
+ * - файлы, которых нет в наборе, удаляются или переносятся в карантин (см. ORPHAN_MODES)
+ * @param {string} dir - каталог категории (data/json/models и т.п.)
+ * @param {Array} entities - сущности категории, имя файла — <slug>.json
+ * @param {Object} options - { orphans, quarantineDir, prune }
+ * prune: false — сироты только подсчитываются и не трогаются
+ * Возвращает { written: [], unchanged: [], deleted: [], quarantined: [], orphans: [] } — имена файлов
+ */
+export function syncEntityFiles(dir, entities, { orphans = 'delete', quarantineDir = QUARANTINE_DIR, prune = true } = {}) {
+  const result = { written: [], unchanged: [], deleted: [], quarantined: [], orphans: [] };
+  const expected = new Set();
+
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  for (const entity of entities) {
+    const fileName = `${entity.slug}.json`;
+    const filePath = path.join(dir, fileName);
+    const content = serializeEntity(entity);
+    expected.add(fileName);
+
+    if (fs.existsSync(filePath) && fs.readFileSync(filePath, 'utf-8') === content) {
+      result.unchanged.push(fileName);
+      continue;
+    }
+
+    fs.writeFileSync(filePath, content, 'utf-8');
+    result.written.push(fileName);
+  }
+
+  result.orphans = listJsonFiles(dir).filter(file => !expected.has(file));
+
+  if (!prune || orphans === 'keep') {
+    return result;
+  }
+
+  for (const fileName of result.orphans) {
+    const filePath = path.join(dir, fileName);
+
+    if (orphans === 'quarantine') {
+      const targetDir = path.resolve(process.cwd(), quarantineDir, path.basename(dir));
+      if (!fs.existsSync(targetDir)) {
+        fs.mkdirSync(targetDir, { recursive: true });
+      }
+      fs.renameSync(filePath, path.join(targetDir, fileName));
+      result.quarantined.push(fileName);
+    } else {
+      fs.unlinkSync(filePath);
+      result.deleted.push(fileName);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Форматирует итог синхронизации категории
+ */
+export function formatSyncSummary(result) {
+  const parts = [
+    `записано: ${result.written.length}`,
+    `без изменений: ${result.unchanged.length}`,
+    `удалено: ${result.deleted.length}`
+  ];
+  if (result.quarantined.length > 0) {
+    parts.push(`в карантине: ${result.quarantined.length}`);
+  }
+  const kept = result.orphans.length - result.deleted.length - result.quarantined.length;
+  if (kept > 0) {
+    parts.push(`сирот оставлено: ${kept}`);
+  }
+  return parts.join(', ');
+}
+
+export default syncEntityFiles;
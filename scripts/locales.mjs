@@ -0,0 +1,294 @@
+import fs from "fs";
+import path from "path";
+import { parse } from "csv-parse/sync";
+
+/**
+ * Конфигурация языков каталога
+ */
+export const LOCALES_CONFIG_PATH = 'sources/texts/locales.json';
+
+/**
+ * Тексты сущностей по языкам: entity;code;locale;title;description
+ */
+export const TEXTS_CSV_PATH = 'sources/texts/texts.csv';
+
+/**
+ * SEO сущностей по языкам: entity;code;locale;title;description;h1;keywords
+ */
+export const SEO_CSV_PATH = 'sources/texts/seo.csv';
+
+/**
+ * Типы сущностей и поле, по которому сущность ищется в texts.csv/seo.csv (колонка code):
+ * series — код серии, model — model_code, length — article_full
+ */
+export const ENTITY_TYPES = ['series', 'model', 'length'];
+
+/**
+ * Поля текстового блока; все обязательны для полноты языка
+ */
+export const TEXT_FIELDS = ['title', 'description'];
+
+/**
+ * Поля SEO-блока из seo.csv (keywords — через запятую)
+ */
+export const SEO_FIELDS = ['title', 'description', 'h1', 'keywords'];
+
+const LOCALE_PATTERN = /^[a-z]{2}(-[A-Z]{2})?$/;
+
+/**
+ * Конфигурация по умолчанию (нет locales.json): один русский язык
+ */
+const DEFAULT_CONFIG = {
+  defaultLocale: 'ru',
+  locales: { ru: {} }
+};
+
+/**
+ * Загружает и проверяет конфигурацию языков:
+ * {
+ *   "defaultLocale": "ru",
+ *   "locales": {
+ *     "ru": { "required": true },
+ *     "en": { "fallback": "ru", "required": false }
+ *   }
+ * }
+ * - fallback — язык, из которого берутся недостающие тексты (цепочки допускаются, циклы — нет)
+ * - required — неполные тексты языка считаются ошибкой проверки данных, иначе предупреждением
+ * Возвращает { defaultLocale, locales: [{ code, fallback, required }] }
+ */
+export function loadLocalesConfig(configPath = LOCALES_CONFIG_PATH) {
+  const fullPath = path.resolve(process.cwd(), configPath);
+  const config = fs.existsSync(fullPath)
+    ? JSON.parse(fs.readFileSync(fullPath, 'utf-8'))
+    : DEFAULT_CONFIG;
+
+  if (!config.locales || typeof config.locales !== 'object' || Object.keys(config.locales).length === 0) {
+    throw new Error(`${configPath}: "locales" должен описывать хотя бы один язык`);
+  }
+
+  const codes = Object.keys(config.locales);
+
+  for (const code of codes) {
+    if (!LOCALE_PATTERN.test(code)) {
+      throw new Error(`${configPath}: некорректный код языка "${code}" (ожидается ${LOCALE_PATTERN})`);
+    }
+    const fallback = config.locales[code].fallback;
+    if (fallback !== undefined && (!codes.includes(fallback) || fallback === code)) {
+      throw new Error(`${configPath}: fallback языка "${code}" ссылается на неизвестный язык "${fallback}"`);
+    }
+  }
+
+  if (!codes.includes(config.defaultLocale)) {
+    throw new Error(`${configPath}: defaultLocale "${config.defaultLocale}" не объявлен в "locales"`);
+  }
+  if (config.locales[config.defaultLocale].fallback !== undefined) {
+    throw new Error(`${configPath}: у языка по умолчанию "${config.defaultLocale}" не может быть fallback`);
+  }
+
+  const result = {
+    defaultLocale: config.defaultLocale,
+    locales: codes.map(code => ({
+      code: code,
+      fallback: config.locales[code].fallback || null,
+      required: Boolean(config.locales[code].required)
+    }))
+  };
+
+  // Цепочка fallback не должна зацикливаться
+  for (const code of codes) {
+    getFallbackChain(code, result);
+  }
+
+  return result;
+}
+
+/**
+ * Возвращает цепочку языков для поиска текста: [code, fallback, fallback fallback'а, ...]
+ */
+export function getFallbackChain(code, config) {
+  const chain = [];
+  let current = code;
+
+  while (current) {
+    if (chain.includes(current)) {
+      throw new Error(`Цикл в цепочке fallback языков: ${[...chain, current].join(' → ')}`);
+    }
+    chain.push(current);
+    const locale = config.locales.find(item => item.code === current);
+    current = locale ? locale.fallback : null;
+  }
+
+  return chain;
+}
+
+/**
+ * Читает texts.csv или seo.csv
+ * Возвращает Map: "<entity>:<code>" → { <locale>: { поле: значение } }
+ * Пустые ячейки не переносятся. Отсутствующий файл — пустая Map
+ */
+export function loadLocalizedCsv(filePath, fields, config) {
+  const records = new Map();
+  const fullPath = path.resolve(process.cwd(), filePath);
+
+  if (!fs.existsSync(fullPath)) {
+    return records;
+  }
+
+  const rows = parse(fs.readFileSync(fullPath, 'utf-8'), {
+    columns: true,
+    skip_empty_lines: true,
+    delimiter: ';',
+    trim: true
+  });
+  const codes = config.locales.map(locale => locale.code);
+
+  rows.forEach((row, index) => {
+    const line = index + 2; // строка 1 — заголовок
+    if (!ENTITY_TYPES.includes(row.entity)) {
+      throw new Error(`${filePath}, строка ${line}: неизвестный тип сущности "${row.entity}" (доступны: ${ENTITY_TYPES.join(', ')})`);
+    }
+    if (!row.code) {
+      throw new Error(`${filePath}, строка ${line}: не указан code`);
+    }
+    if (!codes.includes(row.locale)) {
+      throw new Error(`${filePath}, строка ${line}: язык "${row.locale}" не объявлен в ${LOCALES_CONFIG_PATH}`);
+    }
+
+    const key = `${row.entity}:${row.code}`;
+    const byLocale = records.get(key) || {};
+    if (byLocale[row.locale]) {
+      throw new Error(`${filePath}, строка ${line}: повтор ${key} для языка ${row.locale}`);
+    }
+
+    const block = {};
+    for (const field of fields) {
+      if (row[field]) {
+        block[field] = field === 'keywords'
+          ? row[field].split(',').map(keyword => keyword.trim()).filter(Boolean)
+          : row[field];
+      }
+    }
+    byLocale[row.locale] = block;
+    records.set(key, byLocale);
+  });
+
+  return records;
+}
+
+/**
+ * Загружает всё для локализации сущностей: конфигурацию языков, texts.csv и seo.csv
+ * Возвращает { config, texts, seo, used } — used собирает ключи, найденные у сущностей
+ */
+export function loadLocalizedSources() {
+  const config = loadLocalesConfig();
+  return {
+    config: config,
+    texts: loadLocalizedCsv(TEXTS_CSV_PATH, TEXT_FIELDS, config),
+    seo: loadLocalizedCsv(SEO_CSV_PATH, SEO_FIELDS, config),
+    used: new Set()
+  };
+}
+
+/**
+ * Собирает блоки по языкам с учётом fallback
+ * Блок, взятый из другого языка, помечается полем fallback: <язык-источник>
+ */
+function resolveByLocale(byLocale, config) {
+  const result = {};
+
+  for (const locale of config.locales) {
+    const source = getFallbackChain(locale.code, config).find(code => byLocale[code]);
+    if (!source) {
+      continue;
+    }
+    result[locale.code] = source === locale.code
+      ? { ...byLocale[source] }
+      : { ...byLocale[source], fallback: source };
+  }
+
+  return result;
+}
+
+/**
+ * Добавляет к сущности locale, texts и seo по языкам
+ * @param {Object} entity - построенная сущность
+ * @param {string} type - series, model или length
+ * @param {string} code - код сущности в texts.csv/seo.csv
+ * @param {Object} localized - результат loadLocalizedSources()
+ * @param {Object} options - { baseTexts, generatedSeo }
+ * baseTexts — тексты языка по умолчанию из основного источника (например, seriesInfo)
+ * generatedSeo — SEO-блоки по шаблонам { язык: блок }; seo.csv имеет приоритет над ними
+ */
+export function localizeEntity(entity, type, code, localized, { baseTexts = null, generatedSeo = {} } = {}) {
+  const key = `${type}:${code}`;
+  const { config } = localized;
+
+  const texts = { ...(localized.texts.get(key) || {}) };
+  if (baseTexts && !texts[config.defaultLocale]) {
+    texts[config.defaultLocale] = baseTexts;
+  }
+  const seo = { ...generatedSeo, ...(localized.seo.get(key) || {}) };
+
+  if (localized.texts.has(key) || localized.seo.has(key)) {
+    localized.used.add(key);
+  }
+
+  entity.locale = config.defaultLocale;
+
+  const resolvedTexts = resolveByLocale(texts, config);
+  if (Object.keys(resolvedTexts).length > 0) {
+    entity.texts = resolvedTexts;
+  }
+  const resolvedSeo = resolveByLocale(seo, config);
+  if (Object.keys(resolvedSeo).length > 0) {
+    entity.seo = resolvedSeo;
+  }
+
+  return entity;
+}
+
+/**
+ * Возвращает ключи texts.csv/seo.csv, не совпавшие ни с одной сущностью
+ */
+export function getUnusedLocalizedKeys(localized) {
+  const keys = new Set([...localized.texts.keys(), ...localized.seo.keys()]);
+  return [...keys].filter(key => !localized.used.has(key)).sort();
+}
+
+/**
+ * Проверяет полноту текстов сущности для каждого языка конфигурации
+ * Язык полон, если у него собственные (не fallback) тексты со всеми TEXT_FIELDS
+ * и собственный SEO-блок
+ * Возвращает [{ locale, severity, field, reason }]: error — для required языков, иначе warning;
+ * field — блок сущности (texts или seo)
+ */
+export function checkLocaleCompleteness(entity, config) {
+  const problems = [];
+
+  for (const locale of config.locales) {
+    const severity = locale.required ? 'error' : 'warning';
+    const texts = entity.texts ? entity.texts[locale.code] : undefined;
+    const seo = entity.seo ? entity.seo[locale.code] : undefined;
+
+    if (!texts) {
+      problems.push({ locale: locale.code, severity, field: 'texts', reason: 'нет текстов' });
+    } else if (texts.fallback) {
+      problems.push({ locale: locale.code, severity, field: 'texts', reason: `тексты взяты из ${texts.fallback}` });
+    } else {
+      const missing = TEXT_FIELDS.filter(field => !texts[field]);
+      if (missing.length > 0) {
+        problems.push({ locale: locale.code, severity, field: 'texts', reason: `не заполнены тексты: ${missing.join(', ')}` });
+      }
+    }
+
+    if (!seo) {
+      problems.push({ locale: locale.code, severity, field: 'seo', reason: 'нет SEO' });
+    } else if (seo.fallback) {
+      problems.push({ locale: locale.code, severity, field: 'seo', reason: `SEO взято из ${seo.fallback}` });
+    }
+  }
+
+  return problems;
+}
+
+export default loadLocalesConfig;
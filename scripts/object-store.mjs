@@ -0,0 +1,171 @@
+import fs from "fs";
+import path from "path";
+import { createHash } from "crypto";
+
+/**
+ * Общее хранилище объектов версий (в data/versions/): objects/<первые 2 символа>/<sha256>
+ */
+export const OBJECTS_DIR = 'objects';
+
+/**
+ * Манифест версии: пути файлов data/json/ → хэши объектов
+ */
+export const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Версия формата манифеста
+ */
+export const MANIFEST_FORMAT = 1;
+
+/**
+ * SHA256 байтов файла (хэш сущности без meta — hashContent в content-hash.mjs)
+ */
+export function hashBuffer(buffer) {
+  return createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Хранилище объектов для директории версии (соседняя директория objects/)
+ */
+export function objectsDirFor(versionPath) {
+  return path.join(path.dirname(versionPath), OBJECTS_DIR);
+}
+
+/**
+ * Путь объекта в хранилище
+ */
+export function objectPath(objectsDir, hash) {
+  return path.join(objectsDir, hash.substring(0, 2), hash);
+}
+
+/**
+ * Сохраняет содержимое в хранилище; одинаковое содержимое хранится один раз
+ * Возвращает { hash, bytes, created } — created: объект записан впервые
+ */
+export function writeObject(objectsDir, buffer) {
+  const hash = hashBuffer(buffer);
+  const target = objectPath(objectsDir, hash);
+  if (fs.existsSync(target)) {
+    return { hash, bytes: buffer.length, created: false };
+  }
+
+  // Через временный файл: прерванная запись не оставит битый объект
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  const tmpPath = `${target}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpPath, buffer);
+  fs.renameSync(tmpPath, target);
+  return { hash, bytes: buffer.length, created: true };
+}
+
+/**
+ * Читает объект из хранилища (строкой utf-8)
+ */
+export function readObject(objectsDir, hash) {
+  const source = objectPath(objectsDir, hash);
+  if (!fs.existsSync(source)) {
+    throw new Error(`Объект ${hash} не найден в ${objectsDir}`);
+  }
+  return fs.readFileSync(source, 'utf-8');
+}
+
+/**
+ * Собирает относительные пути JSON-файлов директории (рекурсивно, с разделителем /)
+ */
+function collectJsonFiles(dir, prefix = '') {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...collectJsonFiles(path.join(dir, entry.name), relativePath));
+    } else if (entry.isFile() && entry.name.endsWith('.json')) {
+      files.push(relativePath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Сохраняет JSON-файлы директории в хранилище и строит манифест
+ * Возвращает { manifest: { format, files: { путь: хэш } }, created, reused, bytes }
+ * created/reused — число новых и уже хранившихся объектов, bytes — объём новых объектов
+ */
+export function storeDirectory(srcDir, objectsDir) {
+  const result = { manifest: { format: MANIFEST_FORMAT, files: {} }, created: 0, reused: 0, bytes: 0 };
+  if (!fs.existsSync(srcDir)) {
+    return result;
+  }
+
+  for (const relativePath of collectJsonFiles(srcDir).sort()) {
+    const stored = writeObject(objectsDir, fs.readFileSync(path.join(srcDir, relativePath)));
+    result.manifest.files[relativePath] = stored.hash;
+    if (stored.created) {
+      result.created++;
+      result.bytes += stored.bytes;
+    } else {
+      result.reused++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Загружает манифест версии; null — версия сохранена полной копией (до хранилища объектов)
+ */
+export function loadManifest(versionPath) {
+  const manifestPath = path.join(versionPath, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+  if (manifest.format !== MANIFEST_FORMAT) {
+    throw new Error(`${manifestPath}: неподдерживаемый формат манифеста ${manifest.format}`);
+  }
+  return manifest;
+}
+
+/**
+ * Объекты хранилища: Map хэш → размер в байтах
+ */
+export function listObjects(objectsDir) {
+  const objects = new Map();
+  if (!fs.existsSync(objectsDir)) {
+    return objects;
+  }
+  for (const shard of fs.readdirSync(objectsDir, { withFileTypes: true })) {
+    if (!shard.isDirectory()) {
+      continue;
+    }
+    const shardDir = path.join(objectsDir, shard.name);
+    for (const entry of fs.readdirSync(shardDir, { withFileTypes: true })) {
+      if (entry.isFile()) {
+        objects.set(entry.name, fs.statSync(path.join(shardDir, entry.name)).size);
+      }
+    }
+  }
+  return objects;
+}
+
+/**
+ * Удаляет объекты, на которые не ссылается ни один манифест
+ * (в т.ч. временные файлы прерванной записи)
+ * @param {Set} referenced - хэши из манифестов сохраняемых версий
+ * @param {Object} options - { dryRun } — только посчитать
+ * Возвращает { removed, bytes }
+ */
+export function collectGarbage(objectsDir, referenced, { dryRun = false } = {}) {
+  const result = { removed: 0, bytes: 0 };
+  for (const [hash, bytes] of listObjects(objectsDir)) {
+    if (referenced.has(hash)) {
+      continue;
+    }
+    result.removed++;
+    result.bytes += bytes;
+    if (!dryRun) {
+      fs.rmSync(path.join(objectsDir, hash.substring(0, 2), hash), { force: true });
+    }
+  }
+  return result;
+}
+
+export default storeDirectory;
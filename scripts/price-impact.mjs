@@ -0,0 +1,333 @@
+import fs from "fs";
+import path from "path";
+import { buildDataDiff, loadVersionData } from "./diff.mjs";
+
+/**
+ * Порог выброса по умолчанию: |Δ%| больше порога
+ */
+export const DEFAULT_OUTLIER_THRESHOLD = 15;
+
+/**
+ * Размер списков наибольшего роста и снижения по умолчанию
+ */
+export const DEFAULT_TOP = 10;
+
+/**
+ * Интервалы распределения изменений в процентах: [min, max)
+ */
+const DISTRIBUTION_BUCKETS = [
+  { label: '< −20%', min: -Infinity, max: -20 },
+  { label: '−20…−10%', min: -20, max: -10 },
+  { label: '−10…−5%', min: -10, max: -5 },
+  { label: '−5…0%', min: -5, max: 0 },
+  { label: '0…5%', min: 0, max: 5 },
+  { label: '5…10%', min: 5, max: 10 },
+  { label: '10…20%', min: 10, max: 20 },
+  { label: '≥ 20%', min: 20, max: Infinity }
+];
+
+const PRICE_PATH = /^\/price\/([^/]+)$/;
+
+/**
+ * Округляет до двух знаков после запятой
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Считает изменение в процентах (null, если старая цена нулевая)
+ */
+function percentChange(from, to) {
+  return from !== 0 ? round2((to - from) / from * 100) : null;
+}
+
+/**
+ * Собирает изменения цен длин из diff
+ * Учитываются только изменения значения (op: replace) числовых цен price.<id>;
+ * появление и удаление позиции прайса в отчёт не попадают
+ */
+function collectPriceChanges(diff, toLengths) {
+  const records = [];
+
+  for (const item of diff.lengths.changed) {
+    const lengthObj = toLengths[item.id] || {};
+
+    for (const change of item.changes) {
+      const match = change.path.match(PRICE_PATH);
+      if (!match || change.op !== 'replace') {
+        continue;
+      }
+      if (typeof change.from !== 'number' || typeof change.to !== 'number') {
+        continue;
+      }
+
+      records.push({
+        series: lengthObj.series || '',
+        model_code: lengthObj.model_code || '',
+        slug: lengthObj.slug || item.id,
+        tier: match[1],
+        from: change.from,
+        to: change.to,
+        delta: change.to - change.from,
+        percent: percentChange(change.from, change.to)
+      });
+    }
+  }
+
+  return records;
+}
+
+/**
+ * Агрегирует изменения цен по ключу (серия или модель) и ценовой позиции
+ */
+function aggregate(records, keyField) {
+  const groups = new Map();
+
+  for (const record of records) {
+    const groupKey = `${record[keyField]}\u0000${record.tier}`;
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, {
+        [keyField]: record[keyField],
+        tier: record.tier,
+        count: 0,
+        fromTotal: 0,
+        toTotal: 0,
+        minPercent: null,
+        maxPercent: null
+      });
+    }
+
+    const group = groups.get(groupKey);
+    group.count++;
+    group.fromTotal += record.from;
+    group.toTotal += record.to;
+    if (record.percent !== null) {
+      group.minPercent = group.minPercent === null ? record.percent : Math.min(group.minPercent, record.percent);
+      group.maxPercent = group.maxPercent === null ? record.percent : Math.max(group.maxPercent, record.percent);
+    }
+  }
+
+  return [...groups.values()]
+    .map(group => ({
+      ...group,
+      delta: group.toTotal - group.fromTotal,
+      percent: percentChange(group.fromTotal, group.toTotal)
+    }))
+    .sort((a, b) => String(a[keyField]).localeCompare(String(b[keyField])) || a.tier.localeCompare(b.tier));
+}
+
+/**
+ * Строит распределение изменений в процентах по каждой ценовой позиции
+ */
+function buildDistribution(records, tiers) {
+  const distribution = {};
+
+  for (const tier of tiers) {
+    const percents = records
+      .filter(record => record.tier === tier && record.percent !== null)
+      .map(record => record.percent);
+
+    distribution[tier] = DISTRIBUTION_BUCKETS.map(bucket => ({
+      label: bucket.label,
+      count: percents.filter(percent => percent >= bucket.min && percent < bucket.max).length
+    }));
+  }
+
+  return distribution;
+}
+
+/**
+ * Строит отчёт об изменении цен между двумя версиями
+ */
+export async function buildPriceImpact({
+  fromVersion,
+  toVersion,
+  threshold = DEFAULT_OUTLIER_THRESHOLD,
+  top = DEFAULT_TOP,
+  basePath = "data"
+}) {
+  const diff = await buildDataDiff({ fromVersion, toVersion, basePath });
+  const toLengths = loadVersionData(path.join(process.cwd(), basePath, 'versions', toVersion), 'lengths');
+
+  const records = collectPriceChanges(diff, toLengths);
+  const tiers = [...new Set(records.map(record => record.tier))].sort();
+
+  for (const record of records) {
+    record.outlier = record.percent !== null && Math.abs(record.percent) > threshold;
+  }
+
+  const withPercent = records.filter(record => record.percent !== null);
+  const increases = withPercent
+    .filter(record => record.delta > 0)
+    .sort((a, b) => b.percent - a.percent || b.delta - a.delta);
+  const decreases = withPercent
+    .filter(record => record.delta < 0)
+    .sort((a, b) => a.percent - b.percent || a.delta - b.delta);
+
+  return {
+    meta: {
+      fromVersion: fromVersion,
+      toVersion: toVersion,
+      generatedAt: new Date().toISOString(),
+      threshold: threshold
+    },
+    summary: {
+      lengthsChanged: new Set(records.map(record => record.slug)).size,
+      priceChanges: records.length,
+      increases: increases.length,
+      decreases: decreases.length,
+      outliers: records.filter(record => record.outlier).length
+    },
+    tiers: tiers,
+    bySeries: aggregate(records, 'series'),
+    byModels: aggregate(records, 'model_code'),
+    distribution: buildDistribution(records, tiers),
+    topIncreases: increases.slice(0, top),
+    topDecreases: decreases.slice(0, top),
+    outliers: records.filter(record => record.outlier),
+    changes: records
+  };
+}
+
+/**
+ * Форматирует процент со знаком
+ */
+function formatPercent(value) {
+  if (value === null) {
+    return '—';
+  }
+  return `${value > 0 ? '+' : ''}${value.toFixed(1)}%`;
+}
+
+/**
+ * Форматирует разницу со знаком
+ */
+function formatDelta(value) {
+  return `${value > 0 ? '+' : ''}${value}`;
+}
+
+/**
+ * Форматирует таблицу изменений отдельных цен
+ */
+function formatRecordsTable(records) {
+  let md = `| Длина | Модель | Позиция | Было | Стало | Δ | Δ % |\n`;
+  md += `|-------|--------|---------|------|-------|---|-----|\n`;
+  for (const record of records) {
+    md += `| \`${record.slug}\` | ${record.model_code} | ${record.tier} | ${record.from} | ${record.to} | ${formatDelta(record.delta)} | ${formatPercent(record.percent)} |\n`;
+  }
+  return md;
+}
+
+/**
+ * Форматирует таблицу агрегатов (по сериям или моделям)
+ */
+function formatAggregateTable(groups, keyField, keyTitle) {
+  let md = `| ${keyTitle} | Позиция | Цен | Было | Стало | Δ | Δ % | Мин % | Макс % |\n`;
+  md += `|${'-'.repeat(keyTitle.length + 2)}|---------|-----|------|-------|---|-----|-------|--------|\n`;
+  for (const group of groups) {
+    md += `| ${group[keyField]} | ${group.tier} | ${group.count} | ${group.fromTotal} | ${group.toTotal} | ${formatDelta(group.delta)} | ${formatPercent(group.percent)} | ${formatPercent(group.minPercent)} | ${formatPercent(group.maxPercent)} |\n`;
+  }
+  return md;
+}
+
+/**
+ * Форматирует отчёт в Markdown (для менеджеров)
+ */
+export function formatImpactMarkdown(report) {
+  let md = `# Изменение цен: ${report.meta.fromVersion} → ${report.meta.toVersion}\n\n`;
+  md += `**Дата**: ${new Date(report.meta.generatedAt).toLocaleString('ru-RU')}\n`;
+  md += `**Порог выбросов**: ±${report.meta.threshold}%\n\n`;
+
+  md += `## Сводка\n\n`;
+  md += `- Длин с изменёнными ценами: ${report.summary.lengthsChanged}\n`;
+  md += `- Изменений цен: ${report.summary.priceChanges} (рост: ${report.summary.increases}, снижение: ${report.summary.decreases})\n`;
+  md += `- Выбросов: ${report.summary.outliers}\n\n`;
+
+  if (report.changes.length === 0) {
+    md += `Цены не изменились.\n`;
+    return md;
+  }
+
+  md += `## По сериям\n\n`;
+  md += formatAggregateTable(report.bySeries, 'series', 'Серия');
+  md += `\n## По моделям\n\n`;
+  md += formatAggregateTable(report.byModels, 'model_code', 'Модель');
+
+  md += `\n## Распределение изменений\n\n`;
+  md += `| Δ % | ${report.tiers.join(' | ')} |\n`;
+  md += `|-----|${report.tiers.map(() => '---').join('|')}|\n`;
+  DISTRIBUTION_BUCKETS.forEach((bucket, index) => {
+    const counts = report.tiers.map(tier => report.distribution[tier][index].count);
+    md += `| ${bucket.label} | ${counts.join(' | ')} |\n`;
+  });
+
+  if (report.topIncreases.length > 0) {
+    md += `\n## Наибольший рост\n\n`;
+    md += formatRecordsTable(report.topIncreases);
+  }
+
+  if (report.topDecreases.length > 0) {
+    md += `\n## Наибольшее снижение\n\n`;
+    md += formatRecordsTable(report.topDecreases);
+  }
+
+  md += `\n## Выбросы (|Δ %| > ${report.meta.threshold}%)\n\n`;
+  md += report.outliers.length > 0 ? formatRecordsTable(report.outliers) : `Нет.\n`;
+
+  return md;
+}
+
+/**
+ * Экранирует значение для CSV
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const str = String(value);
+
+  if (str.includes('"') || str.includes(';') || str.includes('\n') || str.includes('\r')) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+
+  return str;
+}
+
+/**
+ * Форматирует отчёт в CSV (для финансов): одна строка на изменение цены
+ * Разделитель — точка с запятой, как у CSV промежуточного слоя
+ */
+export function formatImpactCsv(report) {
+  const header = ['series', 'model_code', 'slug', 'tier', 'from', 'to', 'delta', 'percent', 'outlier'];
+  const lines = [header.join(';')];
+
+  for (const record of report.changes) {
+    lines.push(header.map(field => escapeCsvValue(record[field])).join(';'));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Сохраняет отчёт в data/reports/price-impact-<from>__<to>.{md,csv}
+ */
+export function savePriceImpact(report, { basePath = "data" } = {}) {
+  const reportsDir = path.join(process.cwd(), basePath, 'reports');
+
+  if (!fs.existsSync(reportsDir)) {
+    fs.mkdirSync(reportsDir, { recursive: true });
+  }
+
+  const baseName = `price-impact-${report.meta.fromVersion}__${report.meta.toVersion}`;
+  const markdownPath = path.join(reportsDir, `${baseName}.md`);
+  const csvPath = path.join(reportsDir, `${baseName}.csv`);
+
+  fs.writeFileSync(markdownPath, formatImpactMarkdown(report), 'utf-8');
+  fs.writeFileSync(csvPath, formatImpactCsv(report), 'utf-8');
+
+  return { markdownPath, csvPath };
+}
+
+export default buildPriceImpact;
@@ -0,0 +1,98 @@
+import { parseNumber } from "./import-report.mjs";
+
+/**
+ * Ценовые позиции, обязательные для length.schema.json
+ */
+export const REQUIRED_TIERS = ['side', 'bottom'];
+
+const TIER_ID_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Проверяет и компилирует модель прайс-листа (блок "prices" в mapping.json):
+ * - id — ключ цены в JSON (price.<id>) и колонка CSV (price_<id>)
+ * - field — поле листа из sheets[].columns, откуда берётся цена
+ * - title — название позиции прайса
+ * - required — строка без этой цены не импортируется
+ * - fallback — id позиции, цена которой подставляется при пустом значении
+ * Бросает ошибку, если конфигурация некорректна
+ */
+export function compilePriceTiers(config, mapping) {
+  const series = mapping.series;
+
+  if (!Array.isArray(config) || config.length === 0) {
+    throw new Error(`Серия ${series}: блок "prices" должен быть непустым массивом ценовых позиций`);
+  }
+
+  const ids = config.map(tier => tier.id);
+
+  for (const tier of config) {
+    if (!tier.id || !TIER_ID_PATTERN.test(tier.id)) {
+      throw new Error(`Серия ${series}: некорректный id ценовой позиции "${tier.id}" (ожидается ${TIER_ID_PATTERN})`);
+    }
+    if (ids.indexOf(tier.id) !== ids.lastIndexOf(tier.id)) {
+      throw new Error(`Серия ${series}: ценовая позиция "${tier.id}" объявлена несколько раз`);
+    }
+    if (!tier.field) {
+      throw new Error(`Серия ${series}: у ценовой позиции "${tier.id}" не указано поле листа (field)`);
+    }
+    for (const sheet of mapping.sheets) {
+      if (!sheet.columns || !sheet.columns[tier.field]) {
+        throw new Error(`Серия ${series}: поле "${tier.field}" позиции "${tier.id}" отсутствует в колонках листа "${sheet.sheetName}"`);
+      }
+    }
+    if (tier.fallback !== undefined && (!ids.includes(tier.fallback) || tier.fallback === tier.id)) {
+      throw new Error(`Серия ${series}: fallback позиции "${tier.id}" ссылается на неизвестную позицию "${tier.fallback}"`);
+    }
+  }
+
+  for (const id of REQUIRED_TIERS) {
+    if (!ids.includes(id)) {
+      throw new Error(`Серия ${series}: обязательная ценовая позиция "${id}" не объявлена в блоке "prices"`);
+    }
+  }
+
+  return config.map(tier => ({
+    id: tier.id,
+    field: tier.field,
+    title: tier.title || tier.id,
+    required: Boolean(tier.required) || REQUIRED_TIERS.includes(tier.id),
+    fallback: tier.fallback || null,
+    column: `price_${tier.id}`
+  }));
+}
+
+/**
+ * Извлекает цены строки листа по ценовым позициям
+ * Возвращает { prices: { price_<id>: number|null }, missing: [id, ...], invalid: [id, ...] }
+ * invalid — позиции с непустым, но нечисловым значением (считаются пустыми)
+ */
+export function extractPrices(row, tiers) {
+  const values = {};
+  const invalid = [];
+
+  for (const tier of tiers) {
+    const parsed = parseNumber(row[tier.field]);
+    values[tier.id] = parsed.value;
+    if (!parsed.valid) {
+      invalid.push(tier.id);
+    }
+  }
+
+  const prices = {};
+  const missing = [];
+
+  for (const tier of tiers) {
+    let value = values[tier.id];
+    if (value === null && tier.fallback) {
+      value = values[tier.fallback];
+    }
+    if (value === null && tier.required) {
+      missing.push(tier.id);
+    }
+    prices[tier.column] = value;
+  }
+
+  return { prices, missing, invalid };
+}
+
+export default compilePriceTiers;
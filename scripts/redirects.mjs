@@ -0,0 +1,178 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Накопленная карта редиректов (в data/versions/)
+ */
+export const REDIRECTS_FILE = 'redirects.json';
+
+/**
+ * Карта редиректов для nginx (include в блок server)
+ */
+export const NGINX_REDIRECTS_FILE = 'redirects.nginx.conf';
+
+/**
+ * Карта редиректов для Apache (.htaccess или конфигурация виртуального хоста)
+ */
+export const APACHE_REDIRECTS_FILE = 'redirects.htaccess';
+
+/**
+ * Редиректы, ожидающие проверки (в data/versions/): переименования, найденные только по размерам
+ */
+export const PENDING_REDIRECTS_FILE = 'redirects.pending.json';
+
+/**
+ * Собирает редиректы из diff: объекты (в т.ч. переименованные), у которых изменился path
+ * Возвращает { redirects, pending } — массивы [{ from, to, category, id }];
+ * в pending — пары, сопоставленные только по размерам (matchedBy: dimensions): это может быть другое изделие
+ */
+export function collectRedirects(diff) {
+  const redirects = [];
+  const pending = [];
+
+  for (const category of ['series', 'models', 'lengths']) {
+    for (const item of diff[category].changed) {
+      const change = item.changes.find(entry => entry.path === '/path' && entry.op === 'replace');
+      if (change) {
+        const target = item.matchedBy === 'dimensions' ? pending : redirects;
+        target.push({ from: change.from, to: change.to, category: category, id: item.id });
+      }
+    }
+  }
+
+  return { redirects, pending };
+}
+
+/**
+ * Path, которые в новой версии принадлежат живым объектам
+ * Редирект с такого path перекрыл бы страницу и удаляется из карты
+ */
+function collectLivePaths(diff) {
+  const paths = new Set();
+  for (const category of ['series', 'models', 'lengths']) {
+    for (const item of diff[category].added) {
+      paths.add(item.path);
+    }
+  }
+  return paths;
+}
+
+/**
+ * Добавляет новые редиректы в накопленную карту
+ * - цепочки схлопываются: A → B и B → C дают A → C
+ * - редирект на самого себя (объект вернули на старый path) удаляется
+ * - редирект с path, который снова занят живым объектом, удаляется
+ * @param {Array} existing - [{ from, to, category, version }]
+ * @param {Array} redirects - новые редиректы из collectRedirects
+ * @param {string} version - версия, в которой появились новые редиректы
+ * @param {Set} livePaths - path живых объектов новой версии
+ */
+export function mergeRedirects(existing, redirects, version, livePaths = new Set()) {
+  const byFrom = new Map(existing.map(entry => [entry.from, { ...entry }]));
+
+  for (const redirect of redirects) {
+    for (const entry of byFrom.values()) {
+      if (entry.to === redirect.from) {
+        entry.to = redirect.to;
+        entry.version = version;
+      }
+    }
+    byFrom.set(redirect.from, {
+      from: redirect.from,
+      to: redirect.to,
+      category: redirect.category,
+      version: version
+    });
+  }
+
+  const targets = new Set(redirects.map(redirect => redirect.to));
+  return [...byFrom.values()]
+    .filter(entry => entry.from !== entry.to && !targets.has(entry.from) && !livePaths.has(entry.from))
+    .sort((a, b) => a.from.localeCompare(b.from));
+}
+
+/**
+ * Карта для nginx: точное совпадение location и постоянный редирект
+ */
+export function formatNginxRedirects(redirects) {
+  const lines = ['# IWDC: редиректы со старых path (генерируется автоматически)'];
+  for (const redirect of redirects) {
+    lines.push(`location = ${redirect.from} { return 301 ${redirect.to}; }`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Карта для Apache (mod_alias)
+ */
+export function formatApacheRedirects(redirects) {
+  const lines = ['# IWDC: редиректы со старых path (генерируется автоматически)'];
+  for (const redirect of redirects) {
+    lines.push(`Redirect 301 ${redirect.from} ${redirect.to}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Загружает накопленную карту редиректов: [{ from, to, category, version }]
+ * @param {string} file - REDIRECTS_FILE или PENDING_REDIRECTS_FILE
+ */
+export function loadRedirects({ basePath = "data", file = REDIRECTS_FILE } = {}) {
+  const redirectsPath = path.join(process.cwd(), basePath, 'versions', file);
+  if (!fs.existsSync(redirectsPath)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(redirectsPath, 'utf-8')).redirects;
+}
+
+/**
+ * Добавляет редиректы из diff в накопленную карту и сохраняет её
+ * в data/versions/ в форматах JSON, nginx и Apache
+ * Редиректы по совпадению размеров в карту не попадают: они копятся в PENDING_REDIRECTS_FILE,
+ * проверенные переносятся в REDIRECTS_FILE вручную
+ * Возвращает { added, pending, total, paths: { json, nginx, apache, pending } }
+ */
+export function updateRedirects(diff, { basePath = "data" } = {}) {
+  const versionsDir = path.join(process.cwd(), basePath, 'versions');
+  const { redirects, pending } = collectRedirects(diff);
+  const livePaths = collectLivePaths(diff);
+  const merged = mergeRedirects(
+    loadRedirects({ basePath }),
+    redirects,
+    diff.meta.toVersion,
+    livePaths
+  );
+
+  // Ожидающие проверки: без тех, что уже есть в карте
+  const confirmed = new Set(merged.map(entry => entry.from));
+  const mergedPending = mergeRedirects(
+    loadRedirects({ basePath, file: PENDING_REDIRECTS_FILE }),
+    pending,
+    diff.meta.toVersion,
+    livePaths
+  ).filter(entry => !confirmed.has(entry.from));
+
+  if (!fs.existsSync(versionsDir)) {
+    fs.mkdirSync(versionsDir, { recursive: true });
+  }
+
+  const paths = {
+    json: path.join(versionsDir, REDIRECTS_FILE),
+    nginx: path.join(versionsDir, NGINX_REDIRECTS_FILE),
+    apache: path.join(versionsDir, APACHE_REDIRECTS_FILE),
+    pending: path.join(versionsDir, PENDING_REDIRECTS_FILE)
+  };
+  const content = {
+    updatedAt: new Date().toISOString(),
+    version: diff.meta.toVersion,
+    redirects: merged
+  };
+  fs.writeFileSync(paths.json, JSON.stringify(content, null, 2) + '\n', 'utf-8');
+  fs.writeFileSync(paths.nginx, formatNginxRedirects(merged), 'utf-8');
+  fs.writeFileSync(paths.apache, formatApacheRedirects(merged), 'utf-8');
+  fs.writeFileSync(paths.pending, JSON.stringify({ ...content, redirects: mergedPending }, null, 2) + '\n', 'utf-8');
+
+  return { added: redirects.length, pending: mergedPending.length, total: merged.length, paths };
+}
+
+export default updateRedirects;
@@ -0,0 +1,61 @@
+import fs from "fs";
+import path from "path";
+import Ajv from "ajv/dist/2020.js";
+import addFormats from "ajv-formats";
+
+const SCHEMAS_DIR = 'schemas';
+
+/**
+ * Общие схемы, на которые сущности ссылаются через $ref
+ * Регистрируются раньше схем сущностей
+ */
+const SHARED_SCHEMAS = ['meta.schema.json', 'seo.schema.json', 'specs.schema.json', 'texts.schema.json'];
+
+/**
+ * Схемы сущностей: ключ валидатора → файл схемы
+ */
+export const ENTITY_SCHEMAS = {
+  series: 'series.schema.json',
+  model: 'model.schema.json',
+  length: 'length.schema.json'
+};
+
+/**
+ * Создаёт один экземпляр Ajv со всеми схемами IWDC
+ * и возвращает скомпилированные валидаторы сущностей и сами схемы:
+ * { ajv, schemas: { 'seo.schema.json': {...}, ... }, series, model, length }
+ * Ссылки $ref (seo.schema.json, meta.schema.json, specs.schema.json, texts.schema.json) разрешаются по $id
+ */
+export function loadSchemas(schemasDir = SCHEMAS_DIR) {
+  const ajv = new Ajv({ allErrors: true });
+  addFormats(ajv);
+
+  const files = [...SHARED_SCHEMAS, ...Object.values(ENTITY_SCHEMAS)];
+  const ids = {};
+  const schemas = {};
+
+  for (const file of files) {
+    const filePath = path.join(schemasDir, file);
+    let schema;
+    try {
+      schema = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Ошибка загрузки схемы ${filePath}: ${error.message}`);
+    }
+    if (!schema.$id) {
+      throw new Error(`Схема ${filePath} не содержит $id`);
+    }
+    ajv.addSchema(schema);
+    ids[file] = schema.$id;
+    schemas[file] = schema;
+  }
+
+  const validators = { ajv, schemas };
+  for (const [key, file] of Object.entries(ENTITY_SCHEMAS)) {
+    validators[key] = ajv.getSchema(ids[file]);
+  }
+
+  return validators;
+}
+
+export default loadSchemas;
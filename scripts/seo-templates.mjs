@@ -0,0 +1,234 @@
+import fs from "fs";
+import path from "path";
+import { ENTITY_TYPES } from "./locales.mjs";
+import { REQUIRED_TIERS } from "./price-tiers.mjs";
+import { transliterate } from "./slugs.mjs";
+
+/**
+ * Шаблоны SEO по сериям и языкам
+ */
+export const SEO_TEMPLATES_PATH = 'sources/texts/seo-templates.json';
+
+/**
+ * Отчёт о SEO: сокращённые поля и повторяющиеся title
+ */
+export const SEO_REPORT_FILE = 'seo-report.json';
+
+/**
+ * Предельная длина полей SEO из seo.schema.json (maxLength свойств):
+ * { title: 70, description: 160, h1: 120 }
+ * @param {Object} seoSchema - схема из loadSchemas().schemas['seo.schema.json']
+ */
+export function seoLimits(seoSchema) {
+  const limits = {};
+  for (const [field, property] of Object.entries(seoSchema.properties)) {
+    if (typeof property.maxLength === 'number') {
+      limits[field] = property.maxLength;
+    }
+  }
+  return limits;
+}
+
+/**
+ * Поля SEO-блока, которые задаются шаблоном (keywords — массив шаблонов)
+ */
+const TEMPLATE_FIELDS = ['title', 'description', 'h1', 'canonical', 'keywords'];
+
+const PLACEHOLDER_PATTERN = /\{([A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z0-9_]+)*)\}/g;
+
+/**
+ * Загружает и проверяет шаблоны SEO:
+ * {
+ *   "VK": {
+ *     "ru": {
+ *       "model": { "title": "Конвектор {model_code}", "h1": "...", "description": "..." },
+ *       "length": { "title": "Конвектор {model_code} — длина {length} мм", ... }
+ *     }
+ *   }
+ * }
+ * Ключи: код серии → язык из locales.json → тип сущности (series, model, length)
+ * Отсутствующий файл — шаблонов нет
+ */
+export function loadSeoTemplates(localesConfig, templatesPath = SEO_TEMPLATES_PATH) {
+  const fullPath = path.resolve(process.cwd(), templatesPath);
+  if (!fs.existsSync(fullPath)) {
+    return {};
+  }
+
+  const templates = JSON.parse(fs.readFileSync(fullPath, 'utf-8'));
+  const codes = localesConfig.locales.map(locale => locale.code);
+
+  for (const [series, byLocale] of Object.entries(templates)) {
+    for (const [locale, byType] of Object.entries(byLocale)) {
+      if (!codes.includes(locale)) {
+        throw new Error(`${templatesPath}: ${series} — язык "${locale}" не объявлен в locales.json`);
+      }
+      for (const [type, template] of Object.entries(byType)) {
+        const name = `${series}.${locale}.${type}`;
+        if (!ENTITY_TYPES.includes(type)) {
+          throw new Error(`${templatesPath}: ${name} — неизвестный тип сущности (доступны: ${ENTITY_TYPES.join(', ')})`);
+        }
+        if (typeof template.title !== 'string' || template.title === '') {
+          throw new Error(`${templatesPath}: ${name} — не задан шаблон title`);
+        }
+        for (const [field, value] of Object.entries(template)) {
+          if (!TEMPLATE_FIELDS.includes(field)) {
+            throw new Error(`${templatesPath}: ${name} — неизвестное поле "${field}" (доступны: ${TEMPLATE_FIELDS.join(', ')})`);
+          }
+          const valid = field === 'keywords'
+            ? Array.isArray(value) && value.every(item => typeof item === 'string')
+            : typeof value === 'string';
+          if (!valid) {
+            throw new Error(`${templatesPath}: ${name}.${field} — ожидается ${field === 'keywords' ? 'массив строк' : 'строка'}`);
+          }
+        }
+      }
+    }
+  }
+
+  return templates;
+}
+
+/**
+ * Поля сущности, доступные в шаблоне: все поля (в т.ч. вложенные через точку —
+ * {price.side}, {specs.height.value}) и сокращения:
+ * - {watt} — thermal.watt; 0 (теплоотдача не указана в прайсе) считается отсутствием значения
+ * - {price_from} — минимальная розничная цена (позиции REQUIRED_TIERS: side, bottom)
+ * - {model_code_latin} — model_code латиницей для шаблонов не на русском (ВК.55.160.2Г → VK.55.160.2G)
+ * @param {Object} options - { transliteration } — схема транслитерации, как у slug (sources/slugs.json)
+ */
+export function buildTemplateContext(entity, { transliteration = 'gost' } = {}) {
+  const context = { ...entity };
+  if (entity.model_code) {
+    context.model_code_latin = transliterate(entity.model_code, transliteration).toUpperCase();
+  }
+  if (entity.thermal && entity.thermal.watt > 0) {
+    context.watt = entity.thermal.watt;
+  }
+  if (entity.price) {
+    const prices = REQUIRED_TIERS
+      .map(id => entity.price[id])
+      .filter(value => typeof value === 'number');
+    if (prices.length > 0) {
+      context.price_from = Math.min(...prices);
+    }
+  }
+  return context;
+}
+
+/**
+ * Подставляет поля в шаблон
+ * Бросает ошибку, если поля нет у сущности
+ */
+export function renderTemplate(template, context) {
+  return template.replace(PLACEHOLDER_PATTERN, (placeholder, fieldPath) => {
+    const value = fieldPath.split('.').reduce(
+      (current, key) => (current === null || current === undefined ? undefined : current[key]),
+      context
+    );
+    if (value === undefined || value === null || typeof value === 'object') {
+      throw new Error(`поле ${placeholder} шаблона SEO отсутствует у сущности`);
+    }
+    return String(value);
+  });
+}
+
+/**
+ * Сокращает текст до limit символов по границе слова, добавляя «…»
+ */
+export function truncateText(text, limit) {
+  if (text.length <= limit) {
+    return text;
+  }
+  const cut = text.slice(0, limit - 1);
+  const space = cut.lastIndexOf(' ');
+  return `${(space > 0 ? cut.slice(0, space) : cut).replace(/[\s,.;:—-]+$/, '')}…`;
+}
+
+/**
+ * Строит SEO-блок сущности по шаблону серии и языка
+ * @param {Object} options - { limits, transliteration }: поля длиннее limits (см. seoLimits) сокращаются,
+ * transliteration — схема для {model_code_latin}
+ * Возвращает { block, truncated: [поле] } или null, если шаблона нет
+ */
+export function renderSeo(templates, series, locale, type, entity, { limits = {}, transliteration = 'gost' } = {}) {
+  const template = templates[series] && templates[series][locale] && templates[series][locale][type];
+  if (!template) {
+    return null;
+  }
+
+  const context = buildTemplateContext(entity, { transliteration });
+  const block = {};
+  const truncated = [];
+
+  for (const field of TEMPLATE_FIELDS) {
+    if (template[field] === undefined) {
+      continue;
+    }
+    if (field === 'keywords') {
+      block.keywords = [...new Set(template.keywords.map(item => renderTemplate(item, context)).filter(Boolean))];
+      continue;
+    }
+
+    let value = renderTemplate(template[field], context).replace(/\s+/g, ' ').trim();
+    if (limits[field] && value.length > limits[field]) {
+      value = truncateText(value, limits[field]);
+      truncated.push(field);
+    }
+    block[field] = value;
+  }
+
+  return { block, truncated };
+}
+
+/**
+ * Находит повторяющиеся title среди собственных (не fallback) SEO-блоков
+ * @param {Array} items - [{ type, entity }]
+ * Возвращает [{ locale, title, entities: ["<type>:<slug>", ...] }]
+ */
+export function findDuplicateTitles(items) {
+  const byTitle = new Map();
+
+  for (const { type, entity } of items) {
+    for (const [locale, seo] of Object.entries(entity.seo || {})) {
+      if (seo.fallback) {
+        continue;
+      }
+      const key = `${locale}\u0000${seo.title.toLowerCase()}`;
+      if (!byTitle.has(key)) {
+        byTitle.set(key, { locale, title: seo.title, entities: [] });
+      }
+      byTitle.get(key).entities.push(`${type}:${entity.slug}`);
+    }
+  }
+
+  return [...byTitle.values()].filter(group => group.entities.length > 1);
+}
+
+/**
+ * Собирает и сохраняет отчёт о SEO в <dir>/seo-report.json
+ * truncated — [{ type, slug, locale, fields }]: поля, сокращённые renderSeo при импорте
+ */
+export function saveSeoReport(items, truncated, dir = 'data/reports') {
+  const duplicates = findDuplicateTitles(items);
+  const report = {
+    generatedAt: new Date().toISOString(),
+    summary: {
+      truncated: truncated.length,
+      duplicateTitles: duplicates.length
+    },
+    truncated: truncated,
+    duplicateTitles: duplicates
+  };
+
+  const reportDir = path.resolve(process.cwd(), dir);
+  if (!fs.existsSync(reportDir)) {
+    fs.mkdirSync(reportDir, { recursive: true });
+  }
+  const reportPath = path.join(reportDir, SEO_REPORT_FILE);
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2) + '\n', 'utf-8');
+
+  return { report, reportPath };
+}
+
+export default renderSeo;
@@ -0,0 +1,140 @@
+/**
+ * Преобразует букву колонки Excel (A, B, ..., Z, AA, AB, ...) в индекс (0, 1, 2, ...)
+ */
+export function columnLetterToIndex(letter) {
+  let index = 0;
+  for (let i = 0; i < letter.length; i++) {
+    index = index * 26 + (letter.charCodeAt(i) - 'A'.charCodeAt(0) + 1);
+  }
+  return index - 1;
+}
+
+/**
+ * Преобразует индекс колонки (0, 1, 2, ...) в букву Excel (A, B, ..., Z, AA, AB, ...)
+ */
+export function indexToColumnLetter(index) {
+  let letter = '';
+  let n = index + 1;
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    letter = String.fromCharCode('A'.charCodeAt(0) + rem) + letter;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letter;
+}
+
+const COLUMN_LETTER = /^[A-Z]+$/;
+
+/**
+ * Нормализует текст заголовка: схлопывает пробелы и переносы строк
+ */
+function normalizeHeader(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return String(value).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Описание способа поиска колонки для диагностики
+ */
+function describeSpec(spec) {
+  if (typeof spec === 'string') {
+    return `колонка ${spec}`;
+  }
+  if (spec.header !== undefined) {
+    return `заголовок "${spec.header}"`;
+  }
+  return `заголовок /${spec.headerPattern}/i`;
+}
+
+/**
+ * Возвращает номер строки заголовков листа (1-based) или null
+ * sheet.headerRow переопределяет общий headerRow маппинга
+ */
+export function getHeaderRow(sheetConfig, mapping = {}) {
+  const headerRow = sheetConfig.headerRow !== undefined ? sheetConfig.headerRow : mapping.headerRow;
+  if (headerRow === undefined || headerRow === null) {
+    return null;
+  }
+  if (!Number.isInteger(headerRow) || headerRow < 1) {
+    throw new Error(`Лист "${sheetConfig.sheetName}": headerRow должен быть номером строки (целое число ≥ 1), получено ${JSON.stringify(headerRow)}`);
+  }
+  return headerRow;
+}
+
+/**
+ * Определяет индексы колонок листа по конфигурации sheets[].columns
+ * Колонка поля задаётся:
+ * - буквой: "U"
+ * - текстом заголовка: { "header": "Артикул" } (без учёта регистра и лишних пробелов)
+ * - регулярным выражением: { "headerPattern": "^цена.*бок" } (без учёта регистра)
+ * Заголовки ищутся в строке headerRow. Если заголовок не найден или
+ * подходит нескольким колонкам, бросается ошибка
+ * Возвращает [{ field, index, letter, source }]
+ */
+export function resolveSheetColumns(rows, sheetConfig, headerRow) {
+  const sheetName = sheetConfig.sheetName;
+  const headerCells = headerRow !== null ? (rows[headerRow - 1] || []).map(normalizeHeader) : null;
+  const resolved = [];
+
+  for (const [field, spec] of Object.entries(sheetConfig.columns || {})) {
+    if (typeof spec === 'string') {
+      if (!COLUMN_LETTER.test(spec)) {
+        throw new Error(`Лист "${sheetName}": некорректная буква колонки "${spec}" для поля ${field}`);
+      }
+      resolved.push({ field, index: columnLetterToIndex(spec), letter: spec, source: describeSpec(spec) });
+      continue;
+    }
+
+    const isHeader = spec && typeof spec === 'object' && typeof spec.header === 'string';
+    const isPattern = spec && typeof spec === 'object' && typeof spec.headerPattern === 'string';
+    if (isHeader === isPattern) {
+      throw new Error(`Лист "${sheetName}": колонка поля ${field} задаётся буквой, { "header": "..." } или { "headerPattern": "..." }`);
+    }
+
+    if (headerCells === null) {
+      throw new Error(`Лист "${sheetName}": для поиска поля ${field} по заголовку укажите headerRow`);
+    }
+
+    let matches;
+    if (isHeader) {
+      const expected = normalizeHeader(spec.header).toLowerCase();
+      matches = headerCells
+        .map((cell, index) => ({ cell, index }))
+        .filter(item => item.cell !== '' && item.cell.toLowerCase() === expected);
+    } else {
+      let regex;
+      try {
+        regex = new RegExp(spec.headerPattern, 'i');
+      } catch (error) {
+        throw new Error(`Лист "${sheetName}": некорректный headerPattern поля ${field}: ${error.message}`);
+      }
+      matches = headerCells
+        .map((cell, index) => ({ cell, index }))
+        .filter(item => item.cell !== '' && regex.test(item.cell));
+    }
+
+    if (matches.length === 0) {
+      throw new Error(`Лист "${sheetName}": поле ${field} — ${describeSpec(spec)} не найден в строке ${headerRow}`);
+    }
+    if (matches.length > 1) {
+      const found = matches.map(item => `${indexToColumnLetter(item.index)} "${item.cell}"`).join(', ');
+      throw new Error(`Лист "${sheetName}": поле ${field} — ${describeSpec(spec)} неоднозначен в строке ${headerRow}: ${found}`);
+    }
+
+    const index = matches[0].index;
+    resolved.push({ field, index, letter: indexToColumnLetter(index), source: describeSpec(spec) });
+  }
+
+  return resolved;
+}
+
+/**
+ * Форматирует диагностику: какое поле какой колонке сопоставлено
+ */
+export function formatColumnResolution(resolved) {
+  return resolved.map(item => `${item.field} → ${item.letter} (${item.source})`);
+}
+
+export default resolveSheetColumns;
@@ -0,0 +1,196 @@
+import { columnLetterToIndex } from './sheet-columns.mjs';
+
+const COLUMN_LETTER = /^[A-Z]+$/;
+
+/**
+ * Фильтры, по которым ведётся счётчик срабатываний
+ * blank — пустые строки (все колонки маппинга пусты)
+ * outOfRange — строки вне startRow/endRow
+ * stopAtBlankRows — строки после первого блока пустых строк
+ */
+export const FILTER_NAMES = ['outOfRange', 'stopAtBlankRows', 'blank', 'skipIfEmpty', 'skipIfStartsWith', 'skipIfMatches'];
+
+/**
+ * Проверяет, что ячейка пуста
+ */
+function isEmptyCell(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+/**
+ * Находит колонку фильтра: имя поля из columns или буква колонки
+ */
+function resolveTarget(target, columns, sheetName, filterName) {
+  const column = columns.find(item => item.field === target);
+  if (column) {
+    return { index: column.index };
+  }
+  if (typeof target === 'string' && COLUMN_LETTER.test(target)) {
+    return { index: columnLetterToIndex(target) };
+  }
+  throw new Error(`Лист "${sheetName}": фильтр ${filterName} ссылается на неизвестное поле или колонку "${target}"`);
+}
+
+/**
+ * Приводит фильтр по значениям к виду { поле|буква: [значения] }
+ * Массив без указания поля относится к article_full (прежний формат маппинга)
+ */
+function normalizeValueFilter(config, sheetName, filterName) {
+  if (config === undefined) {
+    return {};
+  }
+  if (Array.isArray(config)) {
+    return { article_full: config };
+  }
+  if (config && typeof config === 'object') {
+    for (const [target, values] of Object.entries(config)) {
+      if (!Array.isArray(values)) {
+        throw new Error(`Лист "${sheetName}": ${filterName}.${target} должен быть массивом`);
+      }
+    }
+    return config;
+  }
+  throw new Error(`Лист "${sheetName}": ${filterName} должен быть массивом или объектом { поле: [...] }`);
+}
+
+/**
+ * Проверяет номер строки (1-based) в настройках фильтра
+ */
+function checkRowNumber(value, name, sheetName) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`Лист "${sheetName}": ${name} должен быть номером строки (целое число ≥ 1), получено ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+/**
+ * Компилирует блок filters листа маппинга:
+ * - skipIfEmpty: [поле|буква, ...] — пропустить строку, если любая из ячеек пуста
+ * - skipIfStartsWith: { поле|буква: [префикс, ...] } или [префикс, ...] (для article_full)
+ * - skipIfMatches: { поле|буква: [regex, ...] } или [regex, ...] (для article_full)
+ * - startRow / endRow — диапазон строк данных (1-based, включительно)
+ * - stopAtBlankRows — остановить чтение листа на первом блоке из N пустых строк подряд
+ * columns — результат resolveSheetColumns, headerRow — строка заголовков или null
+ */
+export function compileSheetFilters(sheetConfig, columns, headerRow) {
+  const sheetName = sheetConfig.sheetName;
+  const filters = sheetConfig.filters || {};
+
+  const startRow = checkRowNumber(filters.startRow, 'startRow', sheetName);
+  const endRow = checkRowNumber(filters.endRow, 'endRow', sheetName);
+  if (startRow !== null && headerRow !== null && startRow <= headerRow) {
+    throw new Error(`Лист "${sheetName}": startRow (${startRow}) должен быть после строки заголовков (${headerRow})`);
+  }
+  if (startRow !== null && endRow !== null && endRow < startRow) {
+    throw new Error(`Лист "${sheetName}": endRow (${endRow}) меньше startRow (${startRow})`);
+  }
+
+  const stopAtBlankRows = filters.stopAtBlankRows === true ? 1 : (filters.stopAtBlankRows || null);
+  if (stopAtBlankRows !== null && (!Number.isInteger(stopAtBlankRows) || stopAtBlankRows < 1)) {
+    throw new Error(`Лист "${sheetName}": stopAtBlankRows должен быть true или числом строк ≥ 1`);
+  }
+
+  const rules = [];
+
+  if (filters.skipIfEmpty !== undefined && !Array.isArray(filters.skipIfEmpty)) {
+    throw new Error(`Лист "${sheetName}": skipIfEmpty должен быть массивом полей или букв колонок`);
+  }
+  for (const target of filters.skipIfEmpty || []) {
+    const { index } = resolveTarget(target, columns, sheetName, 'skipIfEmpty');
+    rules.push({ name: 'skipIfEmpty', index, test: value => isEmptyCell(value) });
+  }
+
+  for (const [target, prefixes] of Object.entries(normalizeValueFilter(filters.skipIfStartsWith, sheetName, 'skipIfStartsWith'))) {
+    const { index } = resolveTarget(target, columns, sheetName, 'skipIfStartsWith');
+    rules.push({
+      name: 'skipIfStartsWith',
+      index,
+      test: value => !isEmptyCell(value) && prefixes.some(prefix => String(value).trim().startsWith(prefix))
+    });
+  }
+
+  for (const [target, patterns] of Object.entries(normalizeValueFilter(filters.skipIfMatches, sheetName, 'skipIfMatches'))) {
+    const { index } = resolveTarget(target, columns, sheetName, 'skipIfMatches');
+    const regexes = patterns.map(pattern => {
+      try {
+        return new RegExp(pattern);
+      } catch (error) {
+        throw new Error(`Лист "${sheetName}": некорректное выражение skipIfMatches.${target}: ${error.message}`);
+      }
+    });
+    rules.push({
+      name: 'skipIfMatches',
+      index,
+      test: value => !isEmptyCell(value) && regexes.some(regex => regex.test(String(value).trim()))
+    });
+  }
+
+  return {
+    firstRow: startRow !== null ? startRow : (headerRow !== null ? headerRow + 1 : 1),
+    lastRow: endRow,
+    stopAtBlankRows: stopAtBlankRows,
+    columnIndexes: columns.map(column => column.index),
+    rules: rules
+  };
+}
+
+/**
+ * Отбирает строки данных листа по скомпилированным фильтрам
+ * rows — строки листа (индекс 0 — строка 1)
+ * Возвращает { rows: [{ row, rowNumber }], hits: { фильтр: число строк } }
+ */
+export function filterSheetRows(rows, compiled) {
+  const hits = Object.fromEntries(FILTER_NAMES.map(name => [name, 0]));
+  const selected = [];
+
+  const lastRow = compiled.lastRow !== null ? Math.min(compiled.lastRow, rows.length) : rows.length;
+  hits.outOfRange = Math.min(compiled.firstRow - 1, rows.length) + Math.max(0, rows.length - lastRow);
+
+  let blankRun = 0;
+
+  for (let rowNumber = compiled.firstRow; rowNumber <= lastRow; rowNumber++) {
+    const row = rows[rowNumber - 1] || [];
+    const blank = compiled.columnIndexes.every(index => isEmptyCell(row[index]));
+
+    if (blank) {
+      blankRun++;
+      if (compiled.stopAtBlankRows !== null && blankRun >= compiled.stopAtBlankRows) {
+        // Блок пустых строк: оставшиеся строки листа не читаются
+        hits.blank += blankRun;
+        hits.stopAtBlankRows = lastRow - rowNumber;
+        return { rows: selected, hits };
+      }
+      continue;
+    }
+
+    hits.blank += blankRun;
+    blankRun = 0;
+
+    const rule = compiled.rules.find(item => item.test(row[item.index]));
+    if (rule) {
+      hits[rule.name]++;
+      continue;
+    }
+
+    selected.push({ row, rowNumber });
+  }
+
+  hits.blank += blankRun;
+
+  return { rows: selected, hits };
+}
+
+/**
+ * Форматирует счётчики срабатываний фильтров (только ненулевые)
+ */
+export function formatFilterHits(hits) {
+  const parts = FILTER_NAMES
+    .filter(name => hits[name] > 0)
+    .map(name => `${name}: ${hits[name]}`);
+  return parts.length > 0 ? parts.join(', ') : 'нет срабатываний';
+}
+
+export default compileSheetFilters;
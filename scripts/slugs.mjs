@@ -0,0 +1,219 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Схема slug и path: транслитерация и разделитель
+ */
+export const SLUG_CONFIG_PATH = 'sources/slugs.json';
+
+/**
+ * Разделители частей slug (допустимы паттерном slug в схемах)
+ */
+export const SLUG_SEPARATORS = ['-', '.'];
+
+/**
+ * Схемы транслитерации кириллицы (только латиница, без апострофов и диакритики):
+ * - gost — ГОСТ Р 52535.1-2006 (как в загранпаспорте): Х → kh, Ц → tc, Щ → shch, Й → i
+ * - iso9 — ISO 9:1995, система Б (ГОСТ 7.79-2000 Б): Х → x, Ц → cz (c перед Е, И, Ы, Й), Щ → shh, Й → j;
+ *   апострофы у Ъ, Ь, Ы, Э отбрасываются
+ */
+export const TRANSLITERATIONS = {
+  gost: {
+    map: {
+      'А': 'a', 'Б': 'b', 'В': 'v', 'Г': 'g', 'Д': 'd', 'Е': 'e', 'Ё': 'e',
+      'Ж': 'zh', 'З': 'z', 'И': 'i', 'Й': 'i', 'К': 'k', 'Л': 'l', 'М': 'm',
+      'Н': 'n', 'О': 'o', 'П': 'p', 'Р': 'r', 'С': 's', 'Т': 't', 'У': 'u',
+      'Ф': 'f', 'Х': 'kh', 'Ц': 'tc', 'Ч': 'ch', 'Ш': 'sh', 'Щ': 'shch',
+      'Ъ': 'ie', 'Ы': 'y', 'Ь': '', 'Э': 'e', 'Ю': 'iu', 'Я': 'ia'
+    },
+    rules: []
+  },
+  iso9: {
+    map: {
+      'А': 'a', 'Б': 'b', 'В': 'v', 'Г': 'g', 'Д': 'd', 'Е': 'e', 'Ё': 'yo',
+      'Ж': 'zh', 'З': 'z', 'И': 'i', 'Й': 'j', 'К': 'k', 'Л': 'l', 'М': 'm',
+      'Н': 'n', 'О': 'o', 'П': 'p', 'Р': 'r', 'С': 's', 'Т': 't', 'У': 'u',
+      'Ф': 'f', 'Х': 'x', 'Ц': 'cz', 'Ч': 'ch', 'Ш': 'sh', 'Щ': 'shh',
+      'Ъ': '', 'Ы': 'y', 'Ь': '', 'Э': 'e', 'Ю': 'yu', 'Я': 'ya'
+    },
+    rules: [{ char: 'Ц', before: 'ЕИЫЙ', value: 'c' }]
+  }
+};
+
+/**
+ * Схема по умолчанию (нет sources/slugs.json)
+ */
+const DEFAULT_CONFIG = {
+  transliteration: 'gost',
+  separator: '-'
+};
+
+/**
+ * Загружает и проверяет схему slug:
+ * { "transliteration": "gost", "separator": "-" }
+ * - transliteration — схема из TRANSLITERATIONS
+ * - separator — чем заменяются точки, пробелы и другие символы артикула
+ * Смена схемы меняет path всех сущностей: проверка стабильности (этап test) сообщит об этом
+ */
+export function loadSlugConfig(configPath = SLUG_CONFIG_PATH) {
+  const fullPath = path.resolve(process.cwd(), configPath);
+  const config = fs.existsSync(fullPath)
+    ? { ...DEFAULT_CONFIG, ...JSON.parse(fs.readFileSync(fullPath, 'utf-8')) }
+    : { ...DEFAULT_CONFIG };
+
+  for (const key of Object.keys(config)) {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_CONFIG, key)) {
+      throw new Error(`${configPath}: неизвестный параметр "${key}" (доступны: ${Object.keys(DEFAULT_CONFIG).join(', ')})`);
+    }
+  }
+  if (!TRANSLITERATIONS[config.transliteration]) {
+    throw new Error(`${configPath}: неизвестная транслитерация "${config.transliteration}" (доступны: ${Object.keys(TRANSLITERATIONS).join(', ')})`);
+  }
+  if (!SLUG_SEPARATORS.includes(config.separator)) {
+    throw new Error(`${configPath}: недопустимый разделитель "${config.separator}" (доступны: ${SLUG_SEPARATORS.join(' ')})`);
+  }
+
+  return config;
+}
+
+/**
+ * Транслитерирует кириллицу в латиницу по схеме; регистр не сохраняется (результат — строчными)
+ */
+export function transliterate(str, scheme) {
+  const { map, rules } = TRANSLITERATIONS[scheme];
+  const upper = String(str).toUpperCase();
+  let result = '';
+
+  for (let i = 0; i < upper.length; i++) {
+    const char = upper[i];
+    const rule = rules.find(item => item.char === char && i + 1 < upper.length && item.before.includes(upper[i + 1]));
+    if (rule) {
+      result += rule.value;
+    } else if (Object.prototype.hasOwnProperty.call(map, char)) {
+      result += map[char];
+    } else {
+      result += char.toLowerCase();
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Преобразует строку (код серии, артикул) в slug:
+ * транслитерация, затем всё, кроме a-z и 0-9, заменяется разделителем
+ * Пример (gost, "-"): "ВК.55.160.2ТГ" → "vk-55-160-2tg"
+ */
+export function toSlug(str, config) {
+  const slug = transliterate(str, config.transliteration)
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .join(config.separator);
+
+  if (slug === '') {
+    throw new Error(`Не удалось построить slug из "${str}"`);
+  }
+  return slug;
+}
+
+/**
+ * slug и path серии: /<серия>
+ */
+export function seriesUrl(series, config) {
+  const slug = toSlug(series, config);
+  return { slug, path: `/${slug}` };
+}
+
+/**
+ * slug и path модели: /<серия>/<артикул модели>
+ */
+export function modelUrl(series, articleBase, config) {
+  const slug = toSlug(articleBase, config);
+  return { slug, path: `${seriesUrl(series, config).path}/${slug}` };
+}
+
+/**
+ * slug и path длины: slug — из полного артикула, path — /<серия>/<артикул модели>/<длина>
+ */
+export function lengthUrl(series, articleBase, articleFull, length, config) {
+  return {
+    slug: toSlug(articleFull, config),
+    path: `${modelUrl(series, articleBase, config).path}/${length}`
+  };
+}
+
+/**
+ * Ожидаемый по схеме path сущности (длина — без полного артикула, slug длины не проверяется)
+ */
+function expectedPath(type, entity, config) {
+  if (type === 'series') {
+    return seriesUrl(entity.series, config).path;
+  }
+  if (type === 'model') {
+    return modelUrl(entity.series, entity.model_code, config).path;
+  }
+  return `${modelUrl(entity.series, entity.model_code, config).path}/${entity.length}`;
+}
+
+/**
+ * Проверяет, что slug и path сущности построены по текущей схеме
+ * Возвращает список расхождений: [строка]
+ */
+export function checkEntityUrl(type, entity, config) {
+  const problems = [];
+  const expected = expectedPath(type, entity, config);
+
+  if (entity.path !== expected) {
+    problems.push(`path "${entity.path}" не соответствует схеме (ожидается "${expected}")`);
+  }
+  if (type !== 'length' && entity.slug !== expected.split('/').pop()) {
+    problems.push(`slug "${entity.slug}" не соответствует схеме (ожидается "${expected.split('/').pop()}")`);
+  }
+
+  return problems;
+}
+
+/**
+ * Ключ сущности, не зависящий от схемы slug: код серии, model_code, model_code + длина
+ */
+export function entityKey(type, entity) {
+  if (type === 'series') {
+    return `series:${entity.series}`;
+  }
+  if (type === 'model') {
+    return `model:${entity.model_code}`;
+  }
+  return `length:${entity.model_code}:${entity.length}`;
+}
+
+/**
+ * Собирает path сущностей: Map ключ → path
+ * @param {Object} entitiesByType - { series: [...], model: [...], length: [...] }
+ */
+export function collectPaths(entitiesByType) {
+  const paths = new Map();
+  for (const [type, items] of Object.entries(entitiesByType)) {
+    for (const item of items) {
+      paths.set(entityKey(type, item), item.path);
+    }
+  }
+  return paths;
+}
+
+/**
+ * Сравнивает path сущностей с предыдущей версией
+ * Сущности, которых нет в одной из версий, не учитываются (это добавления и удаления)
+ * Возвращает [{ key, from, to }]
+ */
+export function checkPathStability(previousPaths, currentPaths) {
+  const changed = [];
+  for (const [key, to] of currentPaths) {
+    const from = previousPaths.get(key);
+    if (from !== undefined && from !== to) {
+      changed.push({ key, from, to });
+    }
+  }
+  return changed.sort((a, b) => a.key.localeCompare(b.key));
+}
+
+export default toSlug;
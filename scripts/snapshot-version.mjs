@@ -1,33 +1,20 @@
 import fs from "fs";
 import path from "path";
 import { createHash } from "crypto";
+import { hasSourcesManifest, loadSourcesManifest } from "./sources-manifest.mjs";
+import {
+  OBJECTS_DIR,
+  MANIFEST_FILE,
+  storeDirectory,
+  loadManifest,
+  listObjects,
+  collectGarbage
+} from "./object-store.mjs";
 
 /**
- * Рекурсивно копирует директорию
+ * Допустимая метка версии: латиница, цифры, точка, дефис, подчёркивание (например, price-2025-03)
  */
-function copyDirectory(src, dest) {
-  if (!fs.existsSync(src)) {
-    return;
-  }
-  
-  // Создаём целевую директорию
-  if (!fs.existsSync(dest)) {
-    fs.mkdirSync(dest, { recursive: true });
-  }
-  
-  const entries = fs.readdirSync(src, { withFileTypes: true });
-  
-  for (const entry of entries) {
-    const srcPath = path.join(src, entry.name);
-    const destPath = path.join(dest, entry.name);
-    
-    if (entry.isDirectory()) {
-      copyDirectory(srcPath, destPath);
-    } else {
-      fs.copyFileSync(srcPath, destPath);
-    }
-  }
-}
+export const TAG_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
 
 /**
  * Находит XLS/XLSX файлы в sources/xls/
@@ -66,48 +53,86 @@ function getFileHash(filePath) {
   return createHash('sha256').update(buffer).digest('hex');
 }
 
+/**
+ * Собирает источники снимка с хэшами книг и маппингов
+ * Берёт список из sources/xls/sources.json, иначе — все XLS файлы в sources/xls/
+ */
+function collectSources() {
+  const sources = hasSourcesManifest()
+    ? loadSourcesManifest()
+    : findXlsFiles().map(file => ({ file: file.relativePath, mapping: null }));
+
+  return sources.map(source => {
+    const filePath = path.resolve(process.cwd(), source.file);
+    const mappingPath = source.mapping ? path.resolve(process.cwd(), source.mapping) : null;
+
+    if (!fs.existsSync(filePath)) {
+      console.warn(`⚠️  Источник не найден: ${source.file}`);
+    }
+
+    return {
+      file: source.file,
+      hash: fs.existsSync(filePath) ? getFileHash(filePath) : null,
+      mapping: source.mapping,
+      mappingHash: mappingPath && fs.existsSync(mappingPath) ? getFileHash(mappingPath) : null
+    };
+  });
+}
+
 /**
  * Создаёт снимок версии данных
+ * Файлы data/json/ сохраняются в общее хранилище data/versions/objects/,
+ * в директории версии — manifest.json (путь → хэш объекта) и meta.json
  */
 export function snapshotVersion(version = null) {
   const jsonDir = path.join(process.cwd(), 'data', 'json');
   const versionsDir = path.join(process.cwd(), 'data', 'versions');
   
+  // Генерируем версию, если не указана
+  // Имя версии — директория в data/versions/: проверяется, как метка, до записи (../x вышло бы за её пределы)
+  const newVersion = version || generateVersionId();
+  if (!TAG_PATTERN.test(newVersion)) {
+    throw new Error(`Некорректное имя версии "${newVersion}" (ожидается ${TAG_PATTERN})`);
+  }
+  
   // Создаём директорию версий, если её нет
   if (!fs.existsSync(versionsDir)) {
     fs.mkdirSync(versionsDir, { recursive: true });
   }
   
-  // Генерируем версию, если не указана
-  const newVersion = version || generateVersionId();
-  
   // Путь к директории версии
   const versionDir = path.join(versionsDir, newVersion);
+  if (newVersion === OBJECTS_DIR) {
+    throw new Error(`Имя версии "${OBJECTS_DIR}" зарезервировано за хранилищем объектов`);
+  }
+  if (fs.existsSync(versionDir)) {
+    throw new Error(`Версия ${newVersion} уже существует`);
+  }
   
-  // Копируем data/json/ → data/versions/<newVersion>/
-  console.log(`📂 Копирование data/json/ → data/versions/${newVersion}/...`);
-  copyDirectory(jsonDir, versionDir);
+  // Хэши всех источников (книги и их маппинги) — до сохранения, чтобы ошибка манифеста не оставила неполный снимок
+  const sources = collectSources();
+  for (const source of sources) {
+    console.log(`📄 Источник: ${source.file}`);
+    console.log(`   Хэш: ${source.hash ? source.hash.substring(0, 16) + '...' : 'нет файла'}`);
+  }
   
-  // Находим XLS файлы и вычисляем хэш
-  const xlsFiles = findXlsFiles();
-  let xlsHash = null;
-  let sourcePath = null;
+  // Сохраняем data/json/ в хранилище объектов: неизменившиеся сущности уже там
+  console.log(`📂 Сохранение data/json/ → data/versions/${OBJECTS_DIR}/...`);
+  const stored = storeDirectory(jsonDir, path.join(versionsDir, OBJECTS_DIR));
+  console.log(`   Новых объектов: ${stored.created}, из прежних версий: ${stored.reused}`);
   
-  if (xlsFiles.length > 0) {
-    // Берём первый найденный XLS файл
-    const xlsFile = xlsFiles[0];
-    sourcePath = xlsFile.relativePath;
-    xlsHash = getFileHash(xlsFile.path);
-    console.log(`📄 Найден источник: ${xlsFile.name}`);
-    console.log(`   Хэш: ${xlsHash.substring(0, 16)}...`);
-  }
+  // manifest.json до meta.json: версия без meta.json не видна listVersions
+  fs.mkdirSync(versionDir, { recursive: true });
+  const manifestPath = path.join(versionDir, MANIFEST_FILE);
+  fs.writeFileSync(manifestPath, JSON.stringify(stored.manifest, null, 2), 'utf-8');
   
   // Создаём meta.json
   const meta = {
     version: newVersion,
     date: new Date().toISOString(),
-    xlsHash: xlsHash,
-    sourcePath: sourcePath
+    tags: [],
+    released: false,
+    sources: sources
   };
   
   const metaPath = path.join(versionDir, 'meta.json');
@@ -120,7 +145,8 @@ export function snapshotVersion(version = null) {
   return {
     version: newVersion,
     path: versionDir,
-    meta: meta
+    meta: meta,
+    objects: { created: stored.created, reused: stored.reused, bytes: stored.bytes }
   };
 }
 
@@ -140,13 +166,14 @@ function generateVersionId() {
 }
 
 /**
- * Получает последнюю версию
+ * Возвращает список версий из data/versions (новые первыми)
+ * Каждый элемент: { version, date, path, tags, released }
  */
-export function getLatestVersion() {
+export function listVersions() {
   const versionsDir = path.join(process.cwd(), 'data', 'versions');
   
   if (!fs.existsSync(versionsDir)) {
-    return null;
+    return [];
   }
   
   const entries = fs.readdirSync(versionsDir, { withFileTypes: true });
@@ -161,7 +188,9 @@ export function getLatestVersion() {
           versions.push({
             version: meta.version,
             date: meta.date,
-            path: entry.name
+            path: entry.name,
+            tags: meta.tags || [],
+            released: Boolean(meta.released)
           });
         } catch (error) {
           // Пропускаем некорректные meta.json
@@ -170,20 +199,217 @@ export function getLatestVersion() {
     }
   }
   
-  if (versions.length === 0) {
-    return null;
-  }
-  
-  // Сортируем по дате (новые первыми)
-  versions.sort((a, b) => new Date(b.date) - new Date(a.date));
+  // Сортируем по дате (новые первыми), при равной дате — по имени версии
+  versions.sort((a, b) => new Date(b.date) - new Date(a.date) || b.version.localeCompare(a.version));
   
-  return versions[0].version;
+  return versions;
+}
+
+/**
+ * Получает последнюю версию
+ */
+export function getLatestVersion() {
+  const versions = listVersions();
+  return versions.length > 0 ? versions[0].version : null;
+}
+
+/**
+ * Находит версию по имени или метке
+ * Возвращает элемент listVersions(); бросает ошибку, если версии нет
+ */
+export function resolveVersion(ref) {
+  const versions = listVersions();
+  const found = versions.find(item => item.version === ref) ||
+    versions.find(item => item.tags.includes(ref));
+  if (!found) {
+    throw new Error(`Версия или метка "${ref}" не найдена в data/versions`);
+  }
+  return found;
+}
+
+/**
+ * Перезаписывает meta.json версии, изменённый функцией update(meta)
+ */
+function updateVersionMeta(ref, update) {
+  const version = resolveVersion(ref);
+  const metaPath = path.join(process.cwd(), 'data', 'versions', version.path, 'meta.json');
+  const meta = JSON.parse(fs.readFileSync(metaPath, 'utf-8'));
+  update(meta);
+  fs.writeFileSync(metaPath, JSON.stringify(meta, null, 2), 'utf-8');
+  return meta;
+}
+
+/**
+ * Добавляет версии метку; метка принадлежит только одной версии
+ * Версии с метками не удаляются pruneVersions
+ */
+export function tagVersion(ref, tag) {
+  if (!TAG_PATTERN.test(tag)) {
+    throw new Error(`Некорректная метка "${tag}" (ожидается ${TAG_PATTERN})`);
+  }
+  const owner = listVersions().find(item => item.tags.includes(tag) || item.version === tag);
+  const version = resolveVersion(ref);
+  if (owner && owner.version !== version.version) {
+    throw new Error(`Метка "${tag}" уже используется версией ${owner.version}`);
+  }
+  return updateVersionMeta(version.version, meta => {
+    meta.tags = [...new Set([...(meta.tags || []), tag])];
+  });
+}
+
+/**
+ * Снимает метку с версии
+ */
+export function untagVersion(ref, tag) {
+  const version = resolveVersion(ref);
+  if (!version.tags.includes(tag)) {
+    throw new Error(`У версии ${version.version} нет метки "${tag}"`);
+  }
+  return updateVersionMeta(version.version, meta => {
+    meta.tags = meta.tags.filter(item => item !== tag);
+  });
+}
+
+/**
+ * Отмечает версию выпущенной (опубликованной); выпущенные версии не удаляются pruneVersions
+ */
+export function releaseVersion(ref) {
+  return updateVersionMeta(ref, meta => {
+    meta.released = true;
+  });
+}
+
+/**
+ * Считает число и суммарный размер файлов директории
+ */
+export function getDirectoryStats(dirPath) {
+  const stats = { files: 0, bytes: 0 };
+  if (!fs.existsSync(dirPath)) {
+    return stats;
+  }
+  for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+    const entryPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      const nested = getDirectoryStats(entryPath);
+      stats.files += nested.files;
+      stats.bytes += nested.bytes;
+    } else {
+      stats.files++;
+      stats.bytes += fs.statSync(entryPath).size;
+    }
+  }
+  return stats;
+}
+
+/**
+ * Объём хранения версий
+ * Возвращает { versions: Map путь версии → { files, bytes, ownBytes }, objects: { count, bytes }, bytes }
+ * - files, bytes — число и объём файлов данных версии
+ * - ownBytes — сколько освободит удаление версии: её директория и объекты, на которые не ссылаются другие версии
+ *   (для версии, сохранённой полной копией, — вся директория)
+ * - bytes — всего занято на диске версиями и хранилищем
+ */
+export function getStorageStats() {
+  const versionsDir = path.join(process.cwd(), 'data', 'versions');
+  const objects = listObjects(path.join(versionsDir, OBJECTS_DIR));
+  const manifests = new Map(listVersions().map(version => [
+    version.path,
+    loadManifest(path.join(versionsDir, version.path))
+  ]));
+
+  // Сколько версий ссылается на объект
+  const references = new Map();
+  for (const manifest of manifests.values()) {
+    for (const hash of new Set(Object.values(manifest ? manifest.files : {}))) {
+      references.set(hash, (references.get(hash) || 0) + 1);
+    }
+  }
+
+  const sizeOf = hashes => hashes.reduce((sum, hash) => sum + (objects.get(hash) || 0), 0);
+  const stats = { versions: new Map(), objects: { count: objects.size, bytes: sizeOf([...objects.keys()]) }, bytes: 0 };
+  stats.bytes = stats.objects.bytes;
+
+  for (const [versionPath, manifest] of manifests) {
+    const own = getDirectoryStats(path.join(versionsDir, versionPath));
+    stats.bytes += own.bytes;
+    if (!manifest) {
+      stats.versions.set(versionPath, { files: own.files, bytes: own.bytes, ownBytes: own.bytes });
+      continue;
+    }
+    const hashes = Object.values(manifest.files);
+    stats.versions.set(versionPath, {
+      files: hashes.length,
+      bytes: sizeOf(hashes),
+      ownBytes: own.bytes + sizeOf([...new Set(hashes)].filter(hash => references.get(hash) === 1))
+    });
+  }
+
+  return stats;
+}
+
+/**
+ * Определяет версии к удалению: всё, кроме keep последних, версий с метками и выпущенных
+ * Возвращает { keep: [версия], remove: [версия] } (элементы listVersions)
+ */
+export function planPrune(keep) {
+  if (!Number.isInteger(keep) || keep < 1) {
+    throw new Error(`Число сохраняемых версий должно быть целым ≥ 1, получено: ${keep}`);
+  }
+  const result = { keep: [], remove: [] };
+  listVersions().forEach((version, index) => {
+    const protectedVersion = version.tags.length > 0 || version.released;
+    (index < keep || protectedVersion ? result.keep : result.remove).push(version);
+  });
+  return result;
+}
+
+/**
+ * Удаляет старые версии по planPrune и объекты хранилища, на которые они ссылались одни
+ * @param {number} keep - сколько последних версий оставить
+ * @param {Object} options - { dryRun } — только показать план
+ * Возвращает { keep, remove, objects, bytes } — objects: число удалённых объектов, bytes: освобождённый объём
+ */
+export function pruneVersions(keep, { dryRun = false } = {}) {
+  const plan = planPrune(keep);
+  const versionsDir = path.join(process.cwd(), 'data', 'versions');
+  const removed = new Set(plan.remove.map(version => version.path));
+  let bytes = 0;
+
+  for (const version of plan.remove) {
+    const versionDir = path.join(versionsDir, version.path);
+    bytes += getDirectoryStats(versionDir).bytes;
+    if (!dryRun) {
+      fs.rmSync(versionDir, { recursive: true, force: true });
+    }
+  }
+
+  // Объекты нужны всем оставшимся директориям с манифестом, даже если их meta.json не читается
+  const referenced = new Set();
+  if (fs.existsSync(versionsDir)) {
+    for (const entry of fs.readdirSync(versionsDir, { withFileTypes: true })) {
+      if (!entry.isDirectory() || entry.name === OBJECTS_DIR || removed.has(entry.name)) {
+        continue;
+      }
+      const manifest = loadManifest(path.join(versionsDir, entry.name));
+      for (const hash of Object.values(manifest ? manifest.files : {})) {
+        referenced.add(hash);
+      }
+    }
+  }
+  const garbage = collectGarbage(path.join(versionsDir, OBJECTS_DIR), referenced, { dryRun });
+
+  return { ...plan, objects: garbage.removed, bytes: bytes + garbage.bytes };
 }
 
 // Если запущен напрямую
 if (import.meta.url === `file://${process.argv[1]}`) {
   const version = process.argv[2] || null;
-  snapshotVersion(version);
+  try {
+    snapshotVersion(version);
+  } catch (error) {
+    console.error(`❌ Ошибка: ${error.message}`);
+    process.exit(1);
+  }
 }
 
 export default snapshotVersion;
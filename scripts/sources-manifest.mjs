@@ -0,0 +1,56 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Путь к маппингу по умолчанию (если источник не указывает свой)
+ */
+export const DEFAULT_MAPPING_PATH = 'sources/xls/mapping.json';
+
+/**
+ * Путь к манифесту источников
+ */
+export const SOURCES_MANIFEST_PATH = 'sources/xls/sources.json';
+
+/**
+ * Загружает манифест источников sources/xls/sources.json
+ * Возвращает массив { file, mapping } с путями относительно корня проекта
+ */
+export function loadSourcesManifest(manifestPath = SOURCES_MANIFEST_PATH) {
+  const fullPath = path.join(process.cwd(), manifestPath);
+
+  if (!fs.existsSync(fullPath)) {
+    throw new Error(`Манифест источников не найден: ${manifestPath}`);
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(fullPath, 'utf-8'));
+
+  if (!Array.isArray(manifest.sources) || manifest.sources.length === 0) {
+    throw new Error(`Манифест ${manifestPath} должен содержать непустой массив "sources"`);
+  }
+
+  const seen = new Set();
+
+  return manifest.sources.map((source, index) => {
+    if (!source.file || typeof source.file !== 'string') {
+      throw new Error(`Манифест ${manifestPath}: у источника #${index + 1} не указан "file"`);
+    }
+    if (seen.has(source.file)) {
+      throw new Error(`Манифест ${manifestPath}: источник "${source.file}" указан несколько раз`);
+    }
+    seen.add(source.file);
+
+    return {
+      file: source.file,
+      mapping: source.mapping || DEFAULT_MAPPING_PATH
+    };
+  });
+}
+
+/**
+ * Проверяет наличие манифеста источников
+ */
+export function hasSourcesManifest(manifestPath = SOURCES_MANIFEST_PATH) {
+  return fs.existsSync(path.join(process.cwd(), manifestPath));
+}
+
+export default loadSourcesManifest;
@@ -1,12 +1,15 @@
 import fs from "fs";
 import path from "path";
-import Ajv from "ajv";
-import addFormats from "ajv-formats";
+import { loadSchemas } from "./schemas.mjs";
+import { loadLocalesConfig, checkLocaleCompleteness } from "./locales.mjs";
+import { loadSlugConfig, checkEntityUrl, collectPaths, checkPathStability } from "./slugs.mjs";
+import { listVersions } from "./snapshot-version.mjs";
+import { loadVersionData } from "./diff.mjs";
 
 /**
  * Получает все JSON файлы из директории
  */
-function getJsonFiles(dirPath) {
+export function getJsonFiles(dirPath) {
   try {
     if (!fs.existsSync(dirPath)) {
       return [];
@@ -23,7 +26,7 @@ function getJsonFiles(dirPath) {
 /**
  * Загружает JSON файл
  */
-function loadJson(filePath) {
+export function loadJson(filePath) {
   const content = fs.readFileSync(filePath, 'utf-8');
   return JSON.parse(content);
 }
@@ -31,7 +34,7 @@ function loadJson(filePath) {
 /**
  * Проверяет уникальность slug
  */
-function checkSlugUniqueness(items, type) {
+export function checkSlugUniqueness(items, type) {
   const slugs = new Map();
   const duplicates = [];
   
@@ -50,10 +53,29 @@ function checkSlugUniqueness(items, type) {
   return duplicates;
 }
 
+/**
+ * Проверяет уникальность id (среди сущностей всех категорий)
+ * Возвращает [{ id, files: [первый файл, повтор] }]
+ */
+export function checkIdUniqueness(items) {
+  const ids = new Map();
+  const duplicates = [];
+
+  for (const item of items) {
+    if (ids.has(item.id)) {
+      duplicates.push({ id: item.id, files: [ids.get(item.id), item._filePath] });
+    } else {
+      ids.set(item.id, item._filePath);
+    }
+  }
+
+  return duplicates;
+}
+
 /**
  * Проверяет корректность значения length
  */
-function checkLengthValue(lengthObj) {
+export function checkLengthValue(lengthObj) {
   const length = lengthObj.length;
   
   if (typeof length !== 'number') {
@@ -73,8 +95,9 @@ function checkLengthValue(lengthObj) {
 
 /**
  * Проверяет отсутствующие длины у моделей
+ * @param {Map} lengthsMap - id длины → объект длины
  */
-function checkMissingLengths(models, lengthsMap) {
+export function checkMissingLengths(models, lengthsMap) {
   const missing = [];
   
   for (const model of models) {
@@ -82,12 +105,12 @@ function checkMissingLengths(models, lengthsMap) {
       continue;
     }
     
-    for (const lengthSlug of model.lengths) {
-      if (!lengthsMap.has(lengthSlug)) {
+    for (const lengthId of model.lengths) {
+      if (!lengthsMap.has(lengthId)) {
         missing.push({
           model: model.slug,
           modelCode: model.model_code,
-          missingLengthSlug: lengthSlug,
+          missingLengthId: lengthId,
           filePath: model._filePath
         });
       }
@@ -97,19 +120,81 @@ function checkMissingLengths(models, lengthsMap) {
   return missing;
 }
 
-export async function testData() {
-  const ajv = new Ajv({ allErrors: true });
-  addFormats(ajv);
+/**
+ * Проверяет полноту текстов сущностей по языкам из sources/texts/locales.json
+ * Возвращает { errors: [{ type, slug, locale, reason }], warnings: { язык: число сущностей } }
+ */
+export function checkLocales(entitiesByType, config) {
+  const errors = [];
+  const warnings = {};
 
-  const modelSchema = JSON.parse(fs.readFileSync("schemas/model.schema.json", "utf8"));
-  const lengthSchema = JSON.parse(fs.readFileSync("schemas/length.schema.json", "utf8"));
+  for (const [type, items] of Object.entries(entitiesByType)) {
+    for (const item of items) {
+      const incomplete = new Set();
+      for (const problem of checkLocaleCompleteness(item, config)) {
+        if (problem.severity === 'error') {
+          errors.push({ type, slug: item.slug, locale: problem.locale, reason: problem.reason });
+        } else {
+          incomplete.add(problem.locale);
+        }
+      }
+      for (const locale of incomplete) {
+        warnings[locale] = (warnings[locale] || 0) + 1;
+      }
+    }
+  }
 
-  const validateModel = ajv.compile(modelSchema);
-  const validateLength = ajv.compile(lengthSchema);
+  return { errors, warnings };
+}
+
+/**
+ * Проверяет slug и path сущностей по схеме из sources/slugs.json
+ * Возвращает [{ type, slug, problem }]
+ */
+export function checkUrls(entitiesByType, config) {
+  const errors = [];
+  for (const [type, items] of Object.entries(entitiesByType)) {
+    for (const item of items) {
+      for (const problem of checkEntityUrl(type, item, config)) {
+        errors.push({ type, slug: item.slug, problem });
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Загружает path сущностей последней версии из data/versions
+ * Возвращает { version, paths } или null, если снимков нет
+ */
+export function loadLatestVersionPaths() {
+  const versions = listVersions();
+  if (versions.length === 0) {
+    return null;
+  }
+  const versionPath = path.join(process.cwd(), 'data', 'versions', versions[0].path);
+  return {
+    version: versions[0].version,
+    paths: collectPaths({
+      series: Object.values(loadVersionData(versionPath, 'series')),
+      model: Object.values(loadVersionData(versionPath, 'models')),
+      length: Object.values(loadVersionData(versionPath, 'lengths'))
+    })
+  };
+}
+
+/**
+ * Проверки данных в data/json
+ * @param {Object} options - { allowPathChanges } — изменение path относительно
+ * последней версии считается предупреждением, а не ошибкой
+ */
+export async function testData({ allowPathChanges = false } = {}) {
+  const { model: validateModel, length: validateLength } = loadSchemas();
 
   console.log('📖 Схемы загружены');
 
   // Получаем пути к директориям
+  const seriesDir = path.join(process.cwd(), 'data', 'json', 'series');
   const modelsDir = path.join(process.cwd(), 'data', 'json', 'models');
   const lengthsDir = path.join(process.cwd(), 'data', 'json', 'lengths');
 
@@ -128,9 +213,10 @@ export async function testData() {
   for (const filePath of modelFiles) {
     try {
       const data = loadJson(filePath);
-      data._filePath = filePath;
 
+      // _filePath добавляем после валидации: схема запрещает лишние поля
       const valid = validateModel(data);
+      data._filePath = filePath;
 
       if (valid) {
         models.push(data);
@@ -152,19 +238,20 @@ export async function testData() {
   // Загружаем и валидируем длины
   console.log('\n📏 Валидация lengths по схеме...');
   const lengths = [];
-  const lengthsMap = new Map(); // slug -> length object
+  const lengthsMap = new Map(); // id -> length object
   let lengthSchemaErrors = 0;
 
   for (const filePath of lengthFiles) {
     try {
       const data = loadJson(filePath);
-      data._filePath = filePath;
 
+      // _filePath добавляем после валидации: схема запрещает лишние поля
       const valid = validateLength(data);
+      data._filePath = filePath;
 
       if (valid) {
         lengths.push(data);
-        lengthsMap.set(data.slug, data);
+        lengthsMap.set(data.id, data);
       } else {
         lengthSchemaErrors++;
         console.error(`   ❌ ${path.basename(filePath)}`);
@@ -228,17 +315,90 @@ export async function testData() {
   const missingLengths = checkMissingLengths(models, lengthsMap);
   if (missingLengths.length > 0) {
     missingLengths.forEach(missing => {
-      console.error(`   ❌ Модель "${missing.model}" (${missing.modelCode}) ссылается на отсутствующую длину "${missing.missingLengthSlug}"`);
+      console.error(`   ❌ Модель "${missing.model}" (${missing.modelCode}) ссылается на отсутствующую длину "${missing.missingLengthId}"`);
       console.error(`      Файл: ${path.basename(missing.filePath)}`);
     });
   } else {
     console.log('   ✅ Все ссылки на длины корректны');
   }
 
+  const seriesItems = [];
+  for (const filePath of getJsonFiles(seriesDir)) {
+    try {
+      const data = loadJson(filePath);
+      data._filePath = filePath;
+      seriesItems.push(data);
+    } catch (error) {
+      // Ошибки разбора серий сообщает validate-schema
+    }
+  }
+
+  // Проверяем уникальность id: две сущности с одним id перезапишут друг друга в снимках и diff
+  console.log('\n🔍 Проверка уникальности id...');
+  const idDuplicates = checkIdUniqueness([...seriesItems, ...models, ...lengths]);
+  if (idDuplicates.length > 0) {
+    idDuplicates.forEach(dup => {
+      console.error(`   ❌ Дубликат id "${dup.id}":`);
+      dup.files.forEach(file => {
+        console.error(`      - ${path.basename(file)}`);
+      });
+    });
+  } else {
+    console.log('   ✅ Все id уникальны');
+  }
+
+  // Проверяем полноту текстов по языкам: required-языки — ошибки, остальные — предупреждения
+  console.log('\n🌐 Проверка полноты текстов по языкам...');
+  const localesConfig = loadLocalesConfig();
+  const localeCheck = checkLocales({ series: seriesItems, model: models, length: lengths }, localesConfig);
+  localeCheck.errors.forEach(problem => {
+    console.error(`   ❌ ${problem.type} "${problem.slug}" [${problem.locale}]: ${problem.reason}`);
+  });
+  for (const [locale, count] of Object.entries(localeCheck.warnings)) {
+    console.log(`   ⚠️  ${locale}: неполных сущностей ${count} (язык не обязателен)`);
+  }
+  if (localeCheck.errors.length === 0 && Object.keys(localeCheck.warnings).length === 0) {
+    console.log(`   ✅ Тексты полны для языков: ${localesConfig.locales.map(locale => locale.code).join(', ')}`);
+  }
+
+  // Проверяем slug и path: соответствие схеме и стабильность относительно последней версии
+  console.log('\n🔗 Проверка slug и path...');
+  const slugConfig = loadSlugConfig();
+  const urlErrors = checkUrls({ series: seriesItems, model: models, length: lengths }, slugConfig);
+  urlErrors.forEach(error => {
+    console.error(`   ❌ ${error.type} "${error.slug}": ${error.problem}`);
+  });
+  if (urlErrors.length === 0) {
+    console.log(`   ✅ slug и path соответствуют схеме (${slugConfig.transliteration}, разделитель "${slugConfig.separator}")`);
+  }
+
+  const previous = loadLatestVersionPaths();
+  let pathChanges = [];
+  if (previous) {
+    pathChanges = checkPathStability(
+      previous.paths,
+      collectPaths({ series: seriesItems, model: models, length: lengths })
+    );
+    const icon = allowPathChanges ? '⚠️ ' : '❌';
+    const log = allowPathChanges ? console.log : console.error;
+    pathChanges.forEach(change => {
+      log(`   ${icon} ${change.key}: path изменился ${change.from} → ${change.to}`);
+    });
+    if (pathChanges.length === 0) {
+      console.log(`   ✅ path не изменились относительно версии ${previous.version}`);
+    } else if (allowPathChanges) {
+      console.log(`   ⚠️  Изменено path: ${pathChanges.length} (разрешено --allow-path-changes)`);
+    }
+  } else {
+    console.log('   ⏭️  Снимков версий нет, стабильность path не проверяется');
+  }
+  const pathChangeErrors = allowPathChanges ? 0 : pathChanges.length;
+
   // Итоговая статистика
   const totalErrors = modelSchemaErrors + lengthSchemaErrors + 
-                      modelSlugDuplicates.length + lengthSlugDuplicates.length + 
-                      lengthValueErrors + missingLengths.length;
+                      modelSlugDuplicates.length + lengthSlugDuplicates.length + idDuplicates.length +
+                      lengthValueErrors + missingLengths.length + localeCheck.errors.length +
+                      urlErrors.length + pathChangeErrors;
 
   console.log('\n' + '='.repeat(60));
   console.log('📊 ИТОГИ ТЕСТИРОВАНИЯ');
@@ -247,8 +407,12 @@ export async function testData() {
   console.log(`Lengths: ${lengths.length} валидных, ${lengthSchemaErrors} ошибок схемы`);
   console.log(`Дубликаты slug (models): ${modelSlugDuplicates.length}`);
   console.log(`Дубликаты slug (lengths): ${lengthSlugDuplicates.length}`);
+  console.log(`Дубликаты id: ${idDuplicates.length}`);
   console.log(`Ошибки значений length: ${lengthValueErrors}`);
   console.log(`Отсутствующие длины: ${missingLengths.length}`);
+  console.log(`Неполные тексты (обязательные языки): ${localeCheck.errors.length}`);
+  console.log(`slug/path не по схеме: ${urlErrors.length}`);
+  console.log(`Изменённые path: ${pathChanges.length}${allowPathChanges ? ' (разрешено)' : ''}`);
   console.log(`Всего ошибок: ${totalErrors}`);
   console.log('='.repeat(60));
 
@@ -266,12 +430,37 @@ export async function testData() {
     },
     duplicates: {
       models: modelSlugDuplicates.length,
-      lengths: lengthSlugDuplicates.length
+      lengths: lengthSlugDuplicates.length,
+      ids: idDuplicates.length
     },
     lengthValueErrors: lengthValueErrors,
     missingLengths: missingLengths.length,
+    localeErrors: localeCheck.errors.length,
+    urlErrors: urlErrors.length,
+    pathChanges: pathChanges,
     totalErrors: totalErrors
   };
 }
 
+// Если запущен напрямую
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const unknown = args.filter(arg => arg !== '--allow-path-changes');
+  if (unknown.length > 0) {
+    console.error(`❌ Ошибка: Неизвестный аргумент: ${unknown[0]}`);
+    console.error('Использование: node scripts/test-data.mjs [--allow-path-changes]');
+    process.exit(1);
+  }
+  testData({ allowPathChanges: args.includes('--allow-path-changes') })
+    .then(result => {
+      if (result.totalErrors > 0) {
+        process.exit(1);
+      }
+    })
+    .catch(error => {
+      console.error('❌ Ошибка:', error.message);
+      process.exit(1);
+    });
+}
+
 export default testData;
@@ -0,0 +1,162 @@
+import { parseNumber } from "./import-report.mjs";
+
+/**
+ * Показатель степени по умолчанию для пересчёта теплоотдачи конвектора
+ */
+export const DEFAULT_EXPONENT = 1.3;
+
+const REGIME_COLUMN_PATTERN = /^thermal_(\d+(?:\.\d+)?)_(\d+(?:\.\d+)?)_(\d+(?:\.\d+)?)$/;
+
+/**
+ * Температурный напор режима: средняя температура теплоносителя минус температура воздуха
+ * Для 90/70/20 — 60, для 75/65/20 — 50
+ */
+export function regimeDeltaT(regime) {
+  return (regime.supply + regime.return) / 2 - regime.room;
+}
+
+/**
+ * Обозначение режима: "подача/обратка/воздух", например "75/65/20"
+ */
+export function formatRegime(regime) {
+  return `${regime.supply}/${regime.return}/${regime.room}`;
+}
+
+/**
+ * Колонка CSV режима: thermal_<подача>_<обратка>_<воздух>
+ */
+export function regimeColumn(regime) {
+  return `thermal_${regime.supply}_${regime.return}_${regime.room}`;
+}
+
+/**
+ * Разбирает колонку CSV режима
+ * Возвращает { supply, return, room } или null, если колонка не относится к режимам
+ */
+export function parseRegimeColumn(column) {
+  const match = column.match(REGIME_COLUMN_PATTERN);
+  if (!match) {
+    return null;
+  }
+  return {
+    supply: Number(match[1]),
+    return: Number(match[2]),
+    room: Number(match[3])
+  };
+}
+
+/**
+ * Пересчитывает теплоотдачу на другой температурный напор:
+ * Q = Qn × (ΔT / ΔTn) ^ n
+ * @param {number} watt - теплоотдача при напоре fromDeltaT
+ * @param {number} fromDeltaT - напор, при котором известна теплоотдача
+ * @param {number} toDeltaT - напор, на который выполняется пересчёт
+ * @param {number} exponent - показатель степени n (по умолчанию DEFAULT_EXPONENT)
+ */
+export function recalculateHeatOutput(watt, fromDeltaT, toDeltaT, exponent = DEFAULT_EXPONENT) {
+  if (!(fromDeltaT > 0)) {
+    throw new Error(`Исходный температурный напор должен быть больше 0, получено ${fromDeltaT}`);
+  }
+  if (!(exponent > 0)) {
+    throw new Error(`Показатель степени должен быть больше 0, получено ${exponent}`);
+  }
+  if (toDeltaT <= 0) {
+    return 0;
+  }
+  return watt * Math.pow(toDeltaT / fromDeltaT, exponent);
+}
+
+/**
+ * Проверяет и компилирует температурные режимы (блок "thermal" в mapping.json):
+ * - regimes — режимы { supply, return, room, field }: температуры (°C) и поле листа
+ *   из sheets[].columns с теплоотдачей при этом режиме
+ * - primary — обозначение основного режима ("90/70/20"), по умолчанию первый;
+ *   его значение попадает в heat_output и thermal.watt
+ * - exponent — показатель степени для пересчёта (по умолчанию DEFAULT_EXPONENT)
+ * Без блока возвращает null (теплоотдача берётся из поля heat_output)
+ * Бросает ошибку, если конфигурация некорректна
+ */
+export function compileThermalRegimes(config, mapping) {
+  const series = mapping.series;
+
+  if (config === undefined) {
+    return null;
+  }
+  if (!config || !Array.isArray(config.regimes) || config.regimes.length === 0) {
+    throw new Error(`Серия ${series}: thermal.regimes должен быть непустым массивом режимов`);
+  }
+
+  const exponent = config.exponent !== undefined ? config.exponent : DEFAULT_EXPONENT;
+  if (typeof exponent !== 'number' || !(exponent > 0)) {
+    throw new Error(`Серия ${series}: thermal.exponent должен быть положительным числом`);
+  }
+
+  const regimes = config.regimes.map(item => {
+    for (const key of ['supply', 'return', 'room']) {
+      if (typeof item[key] !== 'number' || !Number.isFinite(item[key]) || item[key] < 0) {
+        throw new Error(`Серия ${series}: у режима ${JSON.stringify(item)} некорректная температура ${key}`);
+      }
+    }
+    const label = formatRegime(item);
+    if (item.supply < item.return) {
+      throw new Error(`Серия ${series}: режим ${label} — температура подачи ниже обратки`);
+    }
+    if (regimeDeltaT(item) <= 0) {
+      throw new Error(`Серия ${series}: режим ${label} — температурный напор должен быть больше 0`);
+    }
+    if (!item.field) {
+      throw new Error(`Серия ${series}: у режима ${label} не указано поле листа (field)`);
+    }
+    for (const sheet of mapping.sheets) {
+      if (!sheet.columns || !sheet.columns[item.field]) {
+        throw new Error(`Серия ${series}: поле "${item.field}" режима ${label} отсутствует в колонках листа "${sheet.sheetName}"`);
+      }
+    }
+    return {
+      label: label,
+      supply: item.supply,
+      return: item.return,
+      room: item.room,
+      deltaT: regimeDeltaT(item),
+      field: item.field,
+      column: regimeColumn(item)
+    };
+  });
+
+  const labels = regimes.map(regime => regime.label);
+  for (const label of labels) {
+    if (labels.indexOf(label) !== labels.lastIndexOf(label)) {
+      throw new Error(`Серия ${series}: режим ${label} объявлен несколько раз`);
+    }
+  }
+
+  const primaryLabel = config.primary !== undefined ? config.primary : labels[0];
+  const primary = regimes.find(regime => regime.label === primaryLabel);
+  if (!primary) {
+    throw new Error(`Серия ${series}: thermal.primary ссылается на необъявленный режим "${primaryLabel}"`);
+  }
+
+  return { exponent, primary, regimes };
+}
+
+/**
+ * Извлекает теплоотдачу строки листа по режимам
+ * Возвращает { outputs: { thermal_<...>: number|null }, invalid: [режим, ...] }
+ * invalid — режимы с непустым, но нечисловым значением (считаются пустыми)
+ */
+export function extractHeatOutputs(row, thermal) {
+  const outputs = {};
+  const invalid = [];
+
+  for (const regime of thermal.regimes) {
+    const parsed = parseNumber(row[regime.field]);
+    outputs[regime.column] = parsed.value;
+    if (!parsed.valid) {
+      invalid.push(regime);
+    }
+  }
+
+  return { outputs, invalid };
+}
+
+export default compileThermalRegimes;
@@ -1,7 +1,6 @@
 import { readFile, readdir } from 'fs/promises';
 import path from 'path';
-import Ajv from 'ajv';
-import addFormats from 'ajv-formats';
+import { loadSchemas } from './schemas.mjs';
 
 /**
  * Загружает JSON файл
@@ -46,44 +45,65 @@ function validateFile(validator, filePath, data) {
 }
 
 /**
- * Основная функция валидации
+ * Валидирует все JSON файлы data/json по схемам
+ * Возвращает статистику валидации
  */
-async function main() {
-  const ajv = new Ajv({ allErrors: true, strict: false });
-  addFormats(ajv);
-
-  // Загружаем схемы
-  const modelSchemaPath = path.join(process.cwd(), 'schemas', 'model.schema.json');
-  const lengthSchemaPath = path.join(process.cwd(), 'schemas', 'length.schema.json');
-
+export async function validateSchema() {
   console.log('📖 Загрузка схем...');
-  
-  let modelSchema, lengthSchema;
+
+  let validators;
   try {
-    modelSchema = await loadJson(modelSchemaPath);
-    lengthSchema = await loadJson(lengthSchemaPath);
+    validators = loadSchemas();
     console.log('✅ Схемы загружены');
   } catch (error) {
-    console.error(`❌ Ошибка загрузки схем: ${error.message}`);
-    process.exit(1);
+    throw new Error(`Ошибка загрузки схем: ${error.message}`);
   }
 
-  // Компилируем валидаторы
-  const modelValidator = ajv.compile(modelSchema);
-  const lengthValidator = ajv.compile(lengthSchema);
+  const seriesValidator = validators.series;
+  const modelValidator = validators.model;
+  const lengthValidator = validators.length;
 
   // Получаем пути к директориям
+  const seriesDir = path.join(process.cwd(), 'data', 'json', 'series');
   const modelsDir = path.join(process.cwd(), 'data', 'json', 'models');
   const lengthsDir = path.join(process.cwd(), 'data', 'json', 'lengths');
 
   console.log('\n🔍 Сканирование файлов...');
   
+  const seriesFiles = await getJsonFiles(seriesDir);
   const modelFiles = await getJsonFiles(modelsDir);
   const lengthFiles = await getJsonFiles(lengthsDir);
 
+  console.log(`   Найдено файлов series: ${seriesFiles.length}`);
   console.log(`   Найдено файлов models: ${modelFiles.length}`);
   console.log(`   Найдено файлов lengths: ${lengthFiles.length}`);
 
+  // Валидируем серии
+  console.log('\n🗂️  Валидация series...');
+  let seriesErrors = 0;
+  let seriesSuccess = 0;
+
+  for (const filePath of seriesFiles) {
+    try {
+      const data = await loadJson(filePath);
+      const result = validateFile(seriesValidator, filePath, data);
+      
+      if (result.valid) {
+        seriesSuccess++;
+        console.log(`   ✅ ${path.basename(filePath)}`);
+      } else {
+        seriesErrors++;
+        console.error(`   ❌ ${path.basename(filePath)}`);
+        result.errors.forEach(error => {
+          console.error(`      - ${error.instancePath || '/'}: ${error.message}`);
+        });
+      }
+    } catch (error) {
+      seriesErrors++;
+      console.error(`   ❌ ${path.basename(filePath)}: ${error.message}`);
+    }
+  }
+
   // Валидируем модели
   console.log('\n📋 Валидация models...');
   let modelErrors = 0;
@@ -140,12 +160,39 @@ async function main() {
   console.log('\n' + '='.repeat(60));
   console.log('📊 ИТОГИ ВАЛИДАЦИИ');
   console.log('='.repeat(60));
+  console.log(`Series: ${seriesSuccess} успешно, ${seriesErrors} с ошибками`);
   console.log(`Models: ${modelSuccess} успешно, ${modelErrors} с ошибками`);
   console.log(`Lengths: ${lengthSuccess} успешно, ${lengthErrors} с ошибками`);
   console.log('='.repeat(60));
 
+  return {
+    series: {
+      total: seriesFiles.length,
+      valid: seriesSuccess,
+      errors: seriesErrors
+    },
+    models: {
+      total: modelFiles.length,
+      valid: modelSuccess,
+      errors: modelErrors
+    },
+    lengths: {
+      total: lengthFiles.length,
+      valid: lengthSuccess,
+      errors: lengthErrors
+    },
+    totalErrors: seriesErrors + modelErrors + lengthErrors
+  };
+}
+
+/**
+ * Основная функция валидации
+ */
+async function main() {
+  const result = await validateSchema();
+
   // Возвращаем код выхода
-  if (modelErrors > 0 || lengthErrors > 0) {
+  if (result.totalErrors > 0) {
     console.error('\n❌ Валидация завершена с ошибками');
     process.exit(1);
   } else {
@@ -154,12 +201,16 @@ async function main() {
   }
 }
 
-// Запускаем валидацию
-main().catch(error => {
-  console.error('❌ Критическая ошибка:', error.message);
-  if (error.stack) {
-    console.error(error.stack);
-  }
-  process.exit(1);
-});
+// Если запущен напрямую
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main().catch(error => {
+    console.error('❌ Критическая ошибка:', error.message);
+    if (error.stack) {
+      console.error(error.stack);
+    }
+    process.exit(1);
+  });
+}
+
+export default validateSchema;
 
@@ -0,0 +1,395 @@
+import path from "path";
+import { loadSchemas } from "./schemas.mjs";
+import { loadLocalesConfig, checkLocaleCompleteness } from "./locales.mjs";
+import { loadSlugConfig, checkEntityUrl, entityKey, collectPaths, checkPathStability } from "./slugs.mjs";
+import {
+  getJsonFiles,
+  loadJson,
+  checkSlugUniqueness,
+  checkIdUniqueness,
+  checkLengthValue,
+  checkMissingLengths,
+  loadLatestVersionPaths
+} from "./test-data.mjs";
+
+/**
+ * Правила валидации, на которые ссылаются найденные проблемы
+ */
+export const RULES = {
+  'parse': 'Файл не читается как JSON',
+  'schema': 'Объект не соответствует JSON Schema',
+  'slug-unique': 'Slug должен быть уникальным в рамках категории',
+  'id-unique': 'Идентификатор IWDC должен быть уникальным',
+  'length-value': 'Длина должна быть положительным целым числом',
+  'missing-length': 'Модель ссылается на отсутствующую длину',
+  'missing-model': 'Серия ссылается на отсутствующую модель',
+  'locale-complete': 'Тексты и SEO обязательного языка должны быть заполнены без fallback',
+  'url-scheme': 'Slug и path должны соответствовать схеме sources/slugs.json',
+  'path-stable': 'Path не должен меняться относительно последней версии'
+};
+
+/**
+ * Категории данных и их схемы
+ */
+const CATEGORIES = [
+  { name: 'series', schema: 'series' },
+  { name: 'models', schema: 'model' },
+  { name: 'lengths', schema: 'length' }
+];
+
+/**
+ * Приводит путь к виду относительно корня проекта (для отчётов)
+ */
+function toReportPath(filePath) {
+  return path.relative(process.cwd(), filePath).split(path.sep).join('/');
+}
+
+/**
+ * Создаёт запись о проблеме
+ */
+function createIssue(rule, category, filePath, message, pointer = null) {
+  return {
+    rule: rule,
+    severity: 'error',
+    category: category,
+    file: toReportPath(filePath),
+    pointer: pointer,
+    message: message
+  };
+}
+
+/**
+ * Выполняет все проверки data/json и возвращает структурированный отчёт
+ * Ничего не выводит в консоль — форматирование выполняют format* функции
+ * @param {Object} options - { allowPathChanges } — не проверять стабильность path
+ * (смена схемы slug с редиректами, см. docs/diff-changelog.md)
+ */
+export function runValidation({ allowPathChanges = false } = {}) {
+  const validators = loadSchemas();
+
+  const issues = [];
+  const files = [];
+  const loaded = {};
+
+  // Этап 1: чтение файлов и проверка по схемам
+  for (const category of CATEGORIES) {
+    const validator = validators[category.schema];
+    const dirPath = path.join(process.cwd(), 'data', 'json', category.name);
+
+    loaded[category.name] = [];
+
+    for (const filePath of getJsonFiles(dirPath)) {
+      files.push({ category: category.name, file: toReportPath(filePath) });
+
+      let data;
+      try {
+        data = loadJson(filePath);
+      } catch (error) {
+        issues.push(createIssue('parse', category.name, filePath, error.message));
+        continue;
+      }
+
+      if (!validator(data)) {
+        for (const err of validator.errors) {
+          const pointer = err.instancePath || '/';
+          issues.push(createIssue('schema', category.name, filePath, `${pointer}: ${err.message}`, pointer));
+        }
+        continue;
+      }
+
+      data._filePath = filePath;
+      loaded[category.name].push(data);
+    }
+  }
+
+  // Этап 2: перекрёстные проверки по валидным объектам
+  for (const category of CATEGORIES) {
+    for (const dup of checkSlugUniqueness(loaded[category.name], category.name)) {
+      const [firstFile, duplicateFile] = dup.files;
+      issues.push(createIssue(
+        'slug-unique',
+        category.name,
+        duplicateFile,
+        `Дубликат slug "${dup.slug}" (уже используется в ${toReportPath(firstFile)})`,
+        '/slug'
+      ));
+    }
+  }
+
+  // id уникальны среди всех категорий: снимки и diff индексируют сущности по id
+  const categoryByFile = new Map();
+  for (const category of CATEGORIES) {
+    for (const entity of loaded[category.name]) {
+      categoryByFile.set(entity._filePath, category.name);
+    }
+  }
+  const allEntities = CATEGORIES.flatMap(category => loaded[category.name]);
+  for (const dup of checkIdUniqueness(allEntities)) {
+    const [firstFile, duplicateFile] = dup.files;
+    issues.push(createIssue(
+      'id-unique',
+      categoryByFile.get(duplicateFile),
+      duplicateFile,
+      `Дубликат id "${dup.id}" (уже используется в ${toReportPath(firstFile)})`,
+      '/id'
+    ));
+  }
+
+  for (const lengthObj of loaded.lengths) {
+    const check = checkLengthValue(lengthObj);
+    if (!check.valid) {
+      issues.push(createIssue('length-value', 'lengths', lengthObj._filePath, check.error, '/length'));
+    }
+  }
+
+  const lengthsMap = new Map(loaded.lengths.map(lengthObj => [lengthObj.id, lengthObj]));
+  for (const missing of checkMissingLengths(loaded.models, lengthsMap)) {
+    issues.push(createIssue(
+      'missing-length',
+      'models',
+      missing.filePath,
+      `Модель "${missing.model}" (${missing.modelCode}) ссылается на отсутствующую длину "${missing.missingLengthId}"`,
+      '/lengths'
+    ));
+  }
+
+  const modelIds = new Set(loaded.models.map(model => model.id));
+  for (const seriesObj of loaded.series) {
+    for (const modelId of seriesObj.models) {
+      if (!modelIds.has(modelId)) {
+        issues.push(createIssue(
+          'missing-model',
+          'series',
+          seriesObj._filePath,
+          `Серия "${seriesObj.series}" ссылается на отсутствующую модель "${modelId}"`,
+          '/models'
+        ));
+      }
+    }
+  }
+
+  // Полнота текстов: неполный обязательный язык — ошибка, необязательные языки не проверяются
+  const localesConfig = loadLocalesConfig();
+  for (const category of CATEGORIES) {
+    for (const entity of loaded[category.name]) {
+      for (const problem of checkLocaleCompleteness(entity, localesConfig)) {
+        if (problem.severity === 'error') {
+          issues.push(createIssue(
+            'locale-complete',
+            category.name,
+            entity._filePath,
+            `[${problem.locale}] ${problem.reason}`,
+            `/${problem.field}/${problem.locale}`
+          ));
+        }
+      }
+    }
+  }
+
+  // Slug и path: соответствие схеме и стабильность относительно последней версии
+  const slugConfig = loadSlugConfig();
+  const entitiesByType = {};
+  const entitiesByKey = new Map();
+  for (const category of CATEGORIES) {
+    entitiesByType[category.schema] = loaded[category.name];
+    for (const entity of loaded[category.name]) {
+      for (const problem of checkEntityUrl(category.schema, entity, slugConfig)) {
+        issues.push(createIssue('url-scheme', category.name, entity._filePath, problem, problem.startsWith('path') ? '/path' : '/slug'));
+      }
+      entitiesByKey.set(entityKey(category.schema, entity), { category: category.name, entity });
+    }
+  }
+
+  const previous = allowPathChanges ? null : loadLatestVersionPaths();
+  if (previous) {
+    for (const change of checkPathStability(previous.paths, collectPaths(entitiesByType))) {
+      const { category, entity } = entitiesByKey.get(change.key);
+      issues.push(createIssue(
+        'path-stable',
+        category,
+        entity._filePath,
+        `path изменился относительно версии ${previous.version}: ${change.from} → ${change.to}`,
+        '/path'
+      ));
+    }
+  }
+
+  // Сводка по правилам
+  const byRule = {};
+  for (const rule of Object.keys(RULES)) {
+    byRule[rule] = issues.filter(issue => issue.rule === rule).length;
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    summary: {
+      files: files.length,
+      filesWithErrors: new Set(issues.map(issue => issue.file)).size,
+      errors: issues.length,
+      byRule: byRule
+    },
+    files: files,
+    issues: issues
+  };
+}
+
+/**
+ * Форматирует отчёт для человека
+ */
+export function formatText(report) {
+  const lines = [];
+
+  lines.push('📋 IWDC VALIDATE');
+  lines.push('='.repeat(60));
+
+  const issuesByFile = groupIssuesByFile(report);
+  for (const [file, fileIssues] of issuesByFile) {
+    lines.push(`❌ ${file}`);
+    for (const issue of fileIssues) {
+      lines.push(`   - [${issue.rule}] ${issue.message}`);
+    }
+  }
+
+  if (report.issues.length > 0) {
+    lines.push('='.repeat(60));
+  }
+
+  lines.push(`Файлов проверено: ${report.summary.files}`);
+  lines.push(`Файлов с ошибками: ${report.summary.filesWithErrors}`);
+  for (const [rule, count] of Object.entries(report.summary.byRule)) {
+    lines.push(`${rule}: ${count}`);
+  }
+  lines.push(`Всего ошибок: ${report.summary.errors}`);
+  lines.push('='.repeat(60));
+  lines.push(report.summary.errors > 0 ? '❌ Валидация завершена с ошибками' : '✅ Все файлы прошли валидацию');
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Форматирует отчёт в JSON
+ */
+export function formatJson(report) {
+  return JSON.stringify(report, null, 2) + '\n';
+}
+
+/**
+ * Экранирует строку для XML
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Группирует проблемы по файлам (с сохранением порядка)
+ */
+function groupIssuesByFile(report) {
+  const groups = new Map();
+  for (const issue of report.issues) {
+    if (!groups.has(issue.file)) {
+      groups.set(issue.file, []);
+    }
+    groups.get(issue.file).push(issue);
+  }
+  return groups;
+}
+
+/**
+ * Форматирует отчёт в JUnit XML
+ * testsuite — категория данных, testcase — файл
+ */
+export function formatJUnit(report) {
+  const issuesByFile = groupIssuesByFile(report);
+  const lines = [];
+
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+  lines.push(`<testsuites name="iwdc-validate" tests="${report.files.length}" failures="${report.summary.filesWithErrors}" timestamp="${report.generatedAt}">`);
+
+  for (const category of CATEGORIES) {
+    const categoryFiles = report.files.filter(item => item.category === category.name);
+    const failures = categoryFiles.filter(item => issuesByFile.has(item.file)).length;
+
+    lines.push(`  <testsuite name="${category.name}" tests="${categoryFiles.length}" failures="${failures}" errors="0" skipped="0">`);
+
+    for (const item of categoryFiles) {
+      const name = escapeXml(path.posix.basename(item.file));
+      const fileIssues = issuesByFile.get(item.file) || [];
+
+      if (fileIssues.length === 0) {
+        lines.push(`    <testcase classname="iwdc.${category.name}" name="${name}" file="${escapeXml(item.file)}"/>`);
+        continue;
+      }
+
+      lines.push(`    <testcase classname="iwdc.${category.name}" name="${name}" file="${escapeXml(item.file)}">`);
+      for (const issue of fileIssues) {
+        lines.push(`      <failure type="${issue.rule}" message="${escapeXml(issue.message)}">${escapeXml(RULES[issue.rule])}</failure>`);
+      }
+      lines.push('    </testcase>');
+    }
+
+    lines.push('  </testsuite>');
+  }
+
+  lines.push('</testsuites>');
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Форматирует отчёт в SARIF 2.1.0
+ */
+export function formatSarif(report) {
+  const ruleIds = Object.keys(RULES);
+
+  const sarif = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'iwdc-validate',
+            informationUri: 'https://it-wo.ru/iwdc',
+            rules: ruleIds.map(id => ({
+              id: id,
+              shortDescription: { text: RULES[id] }
+            }))
+          }
+        },
+        results: report.issues.map(issue => ({
+          ruleId: issue.rule,
+          ruleIndex: ruleIds.indexOf(issue.rule),
+          level: issue.severity,
+          message: { text: issue.message },
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: { uri: issue.file }
+              },
+              logicalLocations: issue.pointer ? [{ fullyQualifiedName: issue.pointer }] : undefined
+            }
+          ]
+        }))
+      }
+    ]
+  };
+
+  return JSON.stringify(sarif, null, 2) + '\n';
+}
+
+/**
+ * Доступные форматы отчёта
+ */
+export const FORMATTERS = {
+  text: formatText,
+  json: formatJson,
+  junit: formatJUnit,
+  sarif: formatSarif
+};
+
+export default runValidation;
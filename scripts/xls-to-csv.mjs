@@ -2,6 +2,16 @@ import { readFile, writeFile, mkdir } from 'fs/promises';
 import fs from 'fs/promises';
 import path from 'path';
 import * as XLSX from 'xlsx';
+import { compileArticleGrammar, parseArticle } from './article-grammar.mjs';
+import { loadSourcesManifest, DEFAULT_MAPPING_PATH } from './sources-manifest.mjs';
+import { compilePriceTiers, extractPrices } from './price-tiers.mjs';
+import { getHeaderRow, resolveSheetColumns, formatColumnResolution } from './sheet-columns.mjs';
+import { compileSheetFilters, filterSheetRows, formatFilterHits } from './sheet-filters.mjs';
+import { parseNumber, createImportIssue, buildImportReport, saveImportReport } from './import-report.mjs';
+import { compileConsistencyRules, checkConsistency, describeMismatch } from './consistency-rules.mjs';
+import { compileAttributeDictionary, resolveAttributes } from './article-attributes.mjs';
+import { compileThermalRegimes, extractHeatOutputs } from './thermal-regimes.mjs';
+import { loadSchemas } from './schemas.mjs';
 
 /**
  * Утилита для чтения JSON файла
@@ -11,17 +21,6 @@ async function readJson(filePath) {
   return JSON.parse(content);
 }
 
-/**
- * Преобразует букву колонки Excel (A, B, ..., Z, AA, AB, ...) в индекс (0, 1, 2, ...)
- */
-function columnLetterToIndex(letter) {
-  let index = 0;
-  for (let i = 0; i < letter.length; i++) {
-    index = index * 26 + (letter.charCodeAt(i) - 'A'.charCodeAt(0) + 1);
-  }
-  return index - 1;
-}
-
 /**
  * Загружает XLS/XLSX файл и возвращает workbook
  */
@@ -34,128 +33,70 @@ async function loadXls(filePath) {
   return workbook;
 }
 
-/**
- * Парсит артикул по шаблону ВК.<height>.<width>.<length>.<raw>
- * Где raw содержит трубность + букву исполнения (например: "2ТГ", "8ТП", "10ТВ")
- * Возвращает объект с извлеченными полями
- */
-function parseArticle(articleFull) {
-  if (!articleFull || typeof articleFull !== 'string') {
-    throw new Error(`Артикул должен быть непустой строкой, получено: ${articleFull}`);
-  }
-
-  // Формат: ВК.<height>.<width>.<length>.<raw>
-  // Примеры: ВК.55.160.600.2ТГ, ВК.150.300.2950.8ТП
-  const pattern = /^ВК\.(\d+)\.(\d+)\.(\d+)\.(.+)$/;
-  const match = articleFull.match(pattern);
-
-  if (!match) {
-    throw new Error(`Неверный формат артикула: "${articleFull}". Ожидается формат: ВК.<height>.<width>.<length>.<raw>`);
-  }
-
-  const series = 'ВК';
-  const height = parseInt(match[1], 10);
-  const width = parseInt(match[2], 10);
-  const length = parseInt(match[3], 10);
-  const raw = match[4];
-
-  if (!raw || raw.trim() === '') {
-    throw new Error(`Отсутствует raw часть в артикуле: "${articleFull}"`);
-  }
-
-  // Извлекаем tubes (все цифры в начале raw)
-  const tubesMatch = raw.match(/^(\d+)/);
-  if (!tubesMatch) {
-    throw new Error(`Не найдены цифры трубности в raw части артикула: "${articleFull}" (raw: "${raw}")`);
-  }
-  const tubes = parseInt(tubesMatch[1], 10);
-
-  // Извлекаем type (последняя буква кириллицы)
-  const typeMatch = raw.match(/([А-ЯЁ])$/);
-  if (!typeMatch) {
-    throw new Error(`Не найдена буква исполнения (последняя кириллическая буква) в raw части артикула: "${articleFull}" (raw: "${raw}")`);
-  }
-  const type = typeMatch[1];
-
-  // Формируем article_base: ВК.<height>.<width>.<tubes><type>
-  const articleBase = `${series}.${height}.${width}.${tubes}${type}`;
-
-  return {
-    series,
-    height,
-    width,
-    length,
-    tubes,
-    type,
-    article_base: articleBase,
-    article_full: articleFull
-  };
-}
-
 /**
  * Парсит лист Excel согласно конфигурации
- * Применяет фильтры и извлекает данные
+ * Определяет колонки полей (по буквам или заголовкам), применяет фильтры и извлекает данные
+ * Возвращает { rows, columns, filterHits } или null, если листа нет в книге
  */
-function parseSheet(workbook, sheetConfig) {
+function parseSheet(workbook, sheetConfig, mapping) {
   const sheetName = sheetConfig.sheetName;
   const sheet = workbook.Sheets[sheetName];
 
   if (!sheet) {
     console.warn(`⚠️  Лист "${sheetName}" не найден в книге`);
-    return [];
+    return null;
   }
 
   // Конвертируем лист в JSON для удобной обработки
-  const rows = XLSX.utils.sheet_to_json(sheet, { 
+  // Диапазон начинается с A1: индекс строки и колонки совпадает с адресом ячейки
+  const range = sheet['!ref'] ? XLSX.utils.decode_range(sheet['!ref']) : null;
+  const rows = range ? XLSX.utils.sheet_to_json(sheet, { 
     header: 1, 
     defval: null,
-    raw: false 
-  });
+    raw: false,
+    blankrows: true,
+    range: { s: { r: 0, c: 0 }, e: range.e }
+  }) : [];
+
+  // Числовые ячейки берём значением, а не отображаемым текстом:
+  // при формате #,##0 цена 12500 отображается как "12,500" и неотличима от дроби 12,5
+  rows.forEach((row, rowIndex) => row.forEach((value, columnIndex) => {
+    const cell = sheet[XLSX.utils.encode_cell({ r: rowIndex, c: columnIndex })];
+    if (cell && cell.t === 'n') {
+      row[columnIndex] = cell.v;
+    }
+  }));
 
-  const results = [];
-  const filters = sheetConfig.filters || {};
+  // Колонки полей: буквы или поиск по строке заголовков (ошибка прерывает импорт)
+  const headerRow = getHeaderRow(sheetConfig, mapping);
+  const columns = resolveSheetColumns(rows, sheetConfig, headerRow);
+  if (!columns.some(column => column.field === 'article_full')) {
+    throw new Error(`Лист "${sheetName}": не задана колонка поля article_full`);
+  }
 
-  for (let rowIndex = 0; rowIndex < rows.length; rowIndex++) {
-    const row = rows[rowIndex];
-    
-    // Получаем значение article_full из колонки U
-    const articleFullCol = sheetConfig.columns.article_full;
-    const articleFullIndex = columnLetterToIndex(articleFullCol);
-    const articleFull = row[articleFullIndex];
-
-    // Применяем фильтр skipIfEmpty для article_full
-    if (filters.skipIfEmpty && filters.skipIfEmpty.includes('U')) {
-      if (!articleFull || articleFull.toString().trim() === '') {
-        continue;
-      }
-    }
+  // Фильтры листа: диапазон строк, пустые блоки, skipIfEmpty/skipIfStartsWith/skipIfMatches
+  const filters = compileSheetFilters(sheetConfig, columns, headerRow);
+  const filtered = filterSheetRows(rows, filters);
 
-    // Применяем фильтр skipIfStartsWith
-    if (filters.skipIfStartsWith && articleFull) {
-      const articleStr = articleFull.toString().trim();
-      const shouldSkip = filters.skipIfStartsWith.some(prefix => 
-        articleStr.startsWith(prefix)
-      );
-      if (shouldSkip) {
-        continue;
-      }
-    }
+  const results = [];
 
+  for (const { row, rowNumber } of filtered.rows) {
     // Извлекаем значения по колонкам
     const rowData = {};
-    for (const [field, col] of Object.entries(sheetConfig.columns)) {
-      const colIndex = columnLetterToIndex(col);
-      rowData[field] = row[colIndex] || null;
+    for (const column of columns) {
+      const value = row[column.index];
+      rowData[column.field] = value === undefined || value === '' ? null : value;
     }
 
     // Добавляем метаданные из конфигурации листа
+    rowData._row = rowNumber;
     rowData._sheetName = sheetName;
     rowData._height = sheetConfig.height;
 
     results.push(rowData);
   }
 
-  return results;
+  return { rows: results, columns: columns, filterHits: filtered.hits };
 }
 
 /**
@@ -207,40 +148,68 @@ async function writeCsv(filePath, rows, headerArray) {
   await writeFile(filePath, csvContent, 'utf-8');
 }
 
+/**
+ * Проверяет и нормализует описание серии (блок "seriesInfo" в mapping.json)
+ */
+function buildSeriesInfo(mapping) {
+  const info = mapping.seriesInfo;
+
+  if (!info || typeof info !== 'object') {
+    throw new Error(`Серия ${mapping.series}: не задан блок "seriesInfo" (title, description, order)`);
+  }
+  if (!info.title || typeof info.title !== 'string') {
+    throw new Error(`Серия ${mapping.series}: seriesInfo.title должен быть непустой строкой`);
+  }
+  if (!Number.isInteger(info.order)) {
+    throw new Error(`Серия ${mapping.series}: seriesInfo.order должен быть целым числом`);
+  }
+
+  return {
+    series: mapping.series,
+    title: info.title,
+    description: info.description || '',
+    order: info.order
+  };
+}
+
+/**
+ * Генерирует series.csv
+ * @param {Map} seriesTemp - описания серий по коду серии
+ */
+async function generateSeriesCsv(seriesTemp) {
+  const series = Array.from(seriesTemp.values());
+  
+  // Сортируем по порядку вывода
+  series.sort((a, b) => a.order - b.order || a.series.localeCompare(b.series));
+  
+  const header = ['series', 'title', 'description', 'order'];
+  const filePath = path.join(process.cwd(), 'intermediate', 'csv', 'series.csv');
+  
+  await writeCsv(filePath, series, header);
+  
+  return {
+    filePath,
+    count: series.length
+  };
+}
+
 /**
  * Генерирует models.csv
- * @param {Set} modelsTemp - множество article_base
- * @param {string} series - серия (например, "VK")
+ * @param {Map} modelsTemp - модели по article_base (сегменты артикула без длины)
+ * @param {Array} segmentColumns - колонки сегментов модели из грамматики артикула
+ * @param {Array} attributeColumns - колонки атрибутов модели из словаря атрибутов
  */
-async function generateModelsCsv(modelsTemp, series) {
-  // Преобразуем Set в массив объектов
-  const models = Array.from(modelsTemp).map(articleBase => {
-    // Парсим article_base: ВК.<height>.<width>.<tubes><type>
-    // Пример: ВК.55.160.2Г (type - одна кириллическая буква)
-    const pattern = /^ВК\.(\d+)\.(\d+)\.(\d+)([А-ЯЁ])$/;
-    const match = articleBase.match(pattern);
-    
-    if (!match) {
-      console.warn(`⚠️  Не удалось распарсить article_base: ${articleBase}`);
-      return null;
-    }
-    
-    return {
-      series: series,
-      height: parseInt(match[1], 10),
-      width: parseInt(match[2], 10),
-      tubes: parseInt(match[3], 10),
-      type: match[4],
-      article_base: articleBase,
-      article_full: articleBase // В models.csv article_full = article_base (без длины)
-    };
-  }).filter(model => model !== null);
+async function generateModelsCsv(modelsTemp, segmentColumns, attributeColumns) {
+  const models = Array.from(modelsTemp.values()).map(model => ({
+    ...model,
+    article_full: model.article_base // В models.csv article_full = article_base (без длины)
+  }));
   
   // Сортируем по article_base
   models.sort((a, b) => a.article_base.localeCompare(b.article_base));
   
   // Заголовки для models.csv
-  const header = ['series', 'height', 'width', 'tubes', 'type', 'article_base', 'article_full'];
+  const header = ['series', ...segmentColumns, ...attributeColumns, 'article_base', 'article_full'];
   
   // Путь к файлу
   const filePath = path.join(process.cwd(), 'intermediate', 'csv', 'models.csv');
@@ -257,8 +226,11 @@ async function generateModelsCsv(modelsTemp, series) {
 /**
  * Генерирует lengths.csv
  * @param {Array} lengthsTemp - массив объектов длин
+ * @param {Array} segmentColumns - колонки сегментов модели из грамматики артикула
+ * @param {Array} thermalColumns - колонки теплоотдачи thermal_<подача>_<обратка>_<воздух> из блока thermal
+ * @param {Array} priceColumns - колонки цен price_<id> из прайс-модели
  */
-async function generateLengthsCsv(lengthsTemp) {
+async function generateLengthsCsv(lengthsTemp, segmentColumns, thermalColumns, priceColumns) {
   // Сортируем: сначала по article_base, затем по length
   const sorted = [...lengthsTemp].sort((a, b) => {
     // Сначала сравниваем по article_base
@@ -270,166 +242,407 @@ async function generateLengthsCsv(lengthsTemp) {
     return a.length - b.length;
   });
   
-  // Заголовки для lengths.csv
+  // Заголовки для lengths.csv: сегменты артикула + длина, затем параметры из колонок листа
   const header = [
+    'series',
     'article_full',
     'article_base',
-    'height',
-    'width',
+    ...segmentColumns,
     'length',
-    'tubes',
-    'type',
     'weight',
     'heat_output',
-    'price_o',
-    'price_p',
-    'price_q',
-    'price_r',
-    'price_s'
+    // Режимы и показатель степени — только если хотя бы одна серия объявила блок thermal
+    ...thermalColumns,
+    ...(thermalColumns.length > 0 ? ['thermal_exponent'] : []),
+    ...priceColumns
   ];
   
-  // Формируем строки для CSV (используем length из артикула, а не length_mm)
-  const rows = sorted.map(item => ({
-    article_full: item.article_full,
-    article_base: item.article_base,
-    height: item.height,
-    width: item.width,
-    length: item.length, // длина из артикула
-    tubes: item.tubes,
-    type: item.type,
-    weight: item.weight,
-    heat_output: item.heat_output,
-    price_o: item.price_o,
-    price_p: item.price_p,
-    price_q: item.price_q,
-    price_r: item.price_r,
-    price_s: item.price_s
-  }));
-  
   // Путь к файлу
   const filePath = path.join(process.cwd(), 'intermediate', 'csv', 'lengths.csv');
   
-  // Записываем CSV
-  await writeCsv(filePath, rows, header);
+  // Записываем CSV (length — длина из артикула, а не length_mm)
+  await writeCsv(filePath, sorted, header);
   
   return {
     filePath,
-    count: rows.length
+    count: sorted.length
   };
 }
 
 /**
- * Основная функция скрипта
+ * Обрабатывает одну книгу по её маппингу
+ * @param {Object} modelSchema - схема модели (допустимые значения атрибутов)
+ * Возвращает длины и сегменты модели серии
  */
-async function main() {
-  // Получаем путь к XLS файлу из аргументов командной строки
-  const xlsFilePath = process.argv[2];
+async function processWorkbook(source, modelSchema) {
+  // Загружаем конфигурацию маппинга
+  const mapping = await readJson(path.resolve(process.cwd(), source.mapping));
+
+  console.log(`\n📖 Загружена конфигурация для серии: ${mapping.series} (${source.mapping})`);
+  console.log(`📊 Количество листов в конфигурации: ${mapping.sheets.length}`);
+
+  // Описание, грамматика артикулов и ценовые позиции серии
+  const seriesInfo = buildSeriesInfo(mapping);
+  const grammar = compileArticleGrammar(mapping.article, mapping.series);
+  const priceTiers = compilePriceTiers(mapping.prices, mapping);
+  const consistencyRules = compileConsistencyRules(mapping.consistency, mapping, grammar);
+  const attributeDictionary = compileAttributeDictionary(mapping.attributes, grammar, modelSchema);
+  const thermal = compileThermalRegimes(mapping.thermal, mapping);
+
+  // Загружаем XLS файл
+  console.log(`\n📂 Загрузка файла: ${source.file}`);
+  const workbook = await loadXls(source.file);
+  console.log(`✅ Книга загружена. Листы: ${workbook.SheetNames.join(', ')}`);
+
+  const lengths = []; // Массив длин с ценами и параметрами
+  const processedSheets = []; // Список обработанных листов
+  const processedColumns = {}; // Колонки полей по листам: { sheetName: { field: letter } }
+  const issues = []; // Отклонённые строки и подозрительные ячейки
+  const filterHits = {}; // Срабатывания фильтров по листам: { sheetName: { filter: count } }
+
+  // Обрабатываем каждый лист из конфигурации
+  for (const sheetConfig of mapping.sheets) {
+    console.log(`\n🔍 Обработка листа: ${sheetConfig.sheetName} (высота: ${sheetConfig.height})`);
+    
+    const parsed = parseSheet(workbook, sheetConfig, mapping);
+    const rows = parsed ? parsed.rows : [];
+
+    if (!parsed) {
+      issues.push(createImportIssue({
+        severity: 'warning',
+        source: source.file,
+        sheet: sheetConfig.sheetName,
+        reason: 'Лист из маппинга не найден в книге'
+      }));
+    } else {
+      // Диагностика: какой колонке сопоставлено каждое поле
+      console.log('   🔗 Колонки:');
+      for (const line of formatColumnResolution(parsed.columns)) {
+        console.log(`      ${line}`);
+      }
+      processedColumns[sheetConfig.sheetName] = Object.fromEntries(
+        parsed.columns.map(column => [column.field, column.letter])
+      );
+      filterHits[sheetConfig.sheetName] = parsed.filterHits;
+      console.log(`   🧹 Фильтры: ${formatFilterHits(parsed.filterHits)}`);
+    }
+    
+    if (rows.length === 0) {
+      console.log(`   ⚠️  Лист "${sheetConfig.sheetName}" не содержит данных после фильтрации`);
+      continue;
+    }
 
-  if (!xlsFilePath) {
-    console.error('❌ Ошибка: не указан путь к XLS файлу');
-    console.error('Использование: node scripts/xls-to-csv.mjs <путь-к-xls-файлу>');
-    process.exit(1);
-  }
+    processedSheets.push(sheetConfig.sheetName);
+
+    // Колонки полей листа — для координат проблемных ячеек
+    const letters = processedColumns[sheetConfig.sheetName];
+    const issueAt = (row, field, value, reason, severity = 'error') => createImportIssue({
+      severity: severity,
+      source: source.file,
+      sheet: sheetConfig.sheetName,
+      row: row._row,
+      column: letters[field] || null,
+      field: field,
+      value: value,
+      reason: reason
+    });
+
+    // Обрабатываем каждую строку
+    for (const row of rows) {
+      const articleFull = row.article_full;
+
+      if (!articleFull) {
+        continue;
+      }
 
-  try {
-    // Загружаем конфигурацию маппинга
-    const mappingPath = path.join(process.cwd(), 'sources', 'xls', 'mapping.json');
-    const mapping = await readJson(mappingPath);
-
-    console.log(`📖 Загружена конфигурация для серии: ${mapping.series}`);
-    console.log(`📊 Количество листов в конфигурации: ${mapping.sheets.length}`);
-
-    // Загружаем XLS файл
-    console.log(`\n📂 Загрузка файла: ${xlsFilePath}`);
-    const workbook = await loadXls(xlsFilePath);
-    console.log(`✅ Книга загружена. Листы: ${workbook.SheetNames.join(', ')}`);
-
-    // Временные массивы для сбора данных
-    const modelsTemp = new Set(); // Уникальные модели по article_base
-    const lengthsTemp = []; // Массив длин с ценами и параметрами
-    const processedSheets = []; // Список обработанных листов
-
-    // Обрабатываем каждый лист из конфигурации
-    for (const sheetConfig of mapping.sheets) {
-      console.log(`\n🔍 Обработка листа: ${sheetConfig.sheetName} (высота: ${sheetConfig.height})`);
-      
-      const rows = parseSheet(workbook, sheetConfig);
-      
-      if (rows.length === 0) {
-        console.log(`   ⚠️  Лист "${sheetConfig.sheetName}" не содержит данных после фильтрации`);
+      // Парсим артикул по грамматике серии
+      let articleParts;
+      try {
+        articleParts = parseArticle(articleFull, grammar);
+      } catch (error) {
+        console.warn(`   ⚠️  Строка ${row._row}: ${error.message}`);
+        issues.push(issueAt(row, 'article_full', articleFull, error.message));
         continue;
       }
 
-      processedSheets.push(sheetConfig.sheetName);
+      // Сверяем сегменты артикула с высотой листа и колонками строки
+      const mismatches = checkConsistency(articleParts, row, sheetConfig, consistencyRules);
+      for (const mismatch of mismatches) {
+        const reason = describeMismatch(mismatch, sheetConfig.sheetName);
+        const issue = mismatch.rule.field !== null
+          ? issueAt(row, mismatch.rule.field, mismatch.raw, reason, mismatch.rule.severity)
+          : issueAt(row, 'article_full', articleFull, reason, mismatch.rule.severity);
+        issues.push(issue);
+      }
+      if (mismatches.some(mismatch => mismatch.rule.severity === 'error')) {
+        console.warn(`   ⚠️  Строка ${row._row}, артикул "${articleFull}": не согласован с листом, строка пропущена`);
+        continue;
+      }
 
-      // Обрабатываем каждую строку
-      for (const row of rows) {
-        const articleFull = row.article_full;
+      // Атрибуты модели по словарю кодов артикула: неизвестный код — ошибка, а не значение по умолчанию
+      const { attributes, unknown } = resolveAttributes(articleParts, attributeDictionary);
+      if (unknown.length > 0) {
+        for (const item of unknown) {
+          issues.push(issueAt(row, 'article_full', articleFull, `Неизвестный код "${item.code}" сегмента "${item.segment}" (атрибут ${item.attribute}), строка пропущена`));
+        }
+        console.warn(`   ⚠️  Строка ${row._row}, артикул "${articleFull}": неизвестные коды (${unknown.map(item => item.code).join(', ')}), строка пропущена`);
+        continue;
+      }
 
-        if (!articleFull) {
-          continue;
+      // Цены по ценовым позициям серии
+      const { prices, missing, invalid } = extractPrices(row, priceTiers);
+      for (const id of invalid) {
+        const tier = priceTiers.find(item => item.id === id);
+        issues.push(issueAt(row, tier.field, row[tier.field], `Цена "${id}" не является числом`, 'warning'));
+      }
+      if (missing.length > 0) {
+        console.warn(`   ⚠️  Строка ${row._row}, артикул "${articleFull}": нет обязательных цен (${missing.join(', ')}), строка пропущена`);
+        for (const id of missing) {
+          const tier = priceTiers.find(item => item.id === id);
+          issues.push(issueAt(row, tier.field, row[tier.field], `Нет обязательной цены "${id}", строка пропущена`));
         }
+        continue;
+      }
 
-        // Парсим артикул
-        let articleParts;
-        try {
-          articleParts = parseArticle(articleFull);
-        } catch (error) {
-          console.warn(`   ⚠️  ${error.message}`);
-          continue;
+      // Числовые параметры: нечисловое значение не переносится в CSV
+      // С блоком thermal теплоотдача берётся из колонок режимов
+      const numbers = {};
+      for (const field of thermal ? ['length', 'weight'] : ['length', 'weight', 'heat_output']) {
+        const parsedNumber = parseNumber(row[field]);
+        if (!parsedNumber.valid) {
+          issues.push(issueAt(row, field, row[field], 'Значение не является числом', 'warning'));
         }
+        numbers[field] = parsedNumber.value;
+      }
 
-        // Используем article_base из результата парсинга
-        const articleBase = articleParts.article_base;
-        modelsTemp.add(articleBase);
-
-        // Собираем данные о длине
-        const lengthData = {
-          article_base: articleBase,
-          article_full: articleParts.article_full,
-          height: articleParts.height,
-          width: articleParts.width,
-          length: articleParts.length,
-          tubes: articleParts.tubes,
-          type: articleParts.type,
-          length_mm: row.length !== null && row.length !== undefined ? parseFloat(row.length) : null,
-          weight: row.weight !== null && row.weight !== undefined ? parseFloat(row.weight) : null,
-          heat_output: row.heat_output !== null && row.heat_output !== undefined ? parseFloat(row.heat_output) : null,
-          price_o: row.price_o !== null && row.price_o !== undefined ? parseFloat(row.price_o) : null,
-          price_p: row.price_p !== null && row.price_p !== undefined ? parseFloat(row.price_p) : null,
-          price_q: row.price_q !== null && row.price_q !== undefined ? parseFloat(row.price_q) : null,
-          price_r: row.price_r !== null && row.price_r !== undefined ? parseFloat(row.price_r) : null,
-          price_s: row.price_s !== null && row.price_s !== undefined ? parseFloat(row.price_s) : null
-        };
-
-        lengthsTemp.push(lengthData);
+      // Теплоотдача по температурным режимам; основной режим — heat_output
+      let heatOutputs = {};
+      if (thermal) {
+        const { outputs, invalid: invalidOutputs } = extractHeatOutputs(row, thermal);
+        for (const regime of invalidOutputs) {
+          issues.push(issueAt(row, regime.field, row[regime.field], `Теплоотдача режима ${regime.label} не является числом`, 'warning'));
+        }
+        numbers.heat_output = outputs[thermal.primary.column];
+        heatOutputs = { ...outputs, thermal_exponent: thermal.exponent };
       }
 
-      console.log(`   ✅ Обработано строк: ${rows.length}`);
+      // Собираем данные о длине
+      const lengthData = {
+        ...articleParts,
+        ...attributes,
+        length_mm: numbers.length,
+        weight: numbers.weight,
+        heat_output: numbers.heat_output,
+        ...heatOutputs,
+        ...prices,
+        _sheetName: sheetConfig.sheetName,
+        _row: row._row
+      };
+
+      lengths.push(lengthData);
     }
 
-    // Выводим статистику
-    console.log('\n' + '='.repeat(60));
-    console.log('📈 СТАТИСТИКА ОБРАБОТКИ');
-    console.log('='.repeat(60));
-    console.log(`Количество моделей (уникальных): ${modelsTemp.size}`);
-    console.log(`Количество длин: ${lengthsTemp.length}`);
-    console.log(`Обработанные листы: ${processedSheets.join(', ')}`);
-    console.log('='.repeat(60));
-
-    // Генерируем CSV файлы
-    console.log('\n📝 Генерация CSV файлов...');
-    
-    const modelsResult = await generateModelsCsv(modelsTemp, mapping.series);
-    console.log(`✅ models.csv создан: ${modelsResult.filePath}`);
-    console.log(`   Количество строк: ${modelsResult.count}`);
-    
-    const lengthsResult = await generateLengthsCsv(lengthsTemp);
-    console.log(`✅ lengths.csv создан: ${lengthsResult.filePath}`);
-    console.log(`   Количество строк: ${lengthsResult.count}`);
-    
-    console.log('\n✨ Обработка завершена успешно!');
+    console.log(`   ✅ Обработано строк: ${rows.length}`);
+  }
 
+  return {
+    series: mapping.series,
+    seriesInfo: seriesInfo,
+    modelSegments: grammar.modelSegments,
+    attributeColumns: attributeDictionary.map(rule => rule.attribute),
+    thermalColumns: thermal ? thermal.regimes.map(regime => regime.column) : [],
+    priceColumns: priceTiers.map(tier => tier.column),
+    sheets: processedSheets,
+    columns: processedColumns,
+    filterHits: filterHits,
+    lengths: lengths,
+    issues: issues
+  };
+}
+
+/**
+ * Преобразует XLS файлы в series.csv, models.csv и lengths.csv
+ * @param {Array} sources - источники { file, mapping } (см. sources/xls/sources.json)
+ * @param {Object} options - { maxErrors } — допустимое число ошибок отчёта об импорте; предупреждения
+ *   не учитываются (null — без ограничения)
+ * Возвращает статистику обработки
+ */
+export async function xlsToCsv(sources, { maxErrors = null } = {}) {
+  // Временные массивы для сбора данных
+  const seriesTemp = new Map(); // Описания серий по коду серии
+  const modelsTemp = new Map(); // Уникальные модели по article_base
+  const lengthsTemp = []; // Массив длин с ценами и параметрами
+  const segmentColumns = []; // Объединение сегментов моделей всех серий
+  const attributeColumns = []; // Объединение атрибутов моделей всех серий
+  const thermalColumns = []; // Объединение температурных режимов всех серий
+  const priceColumns = []; // Объединение ценовых позиций всех серий
+  const articleSources = new Map(); // article_full → место первой строки (для поиска повторов)
+  const conflicts = [];
+  const sourcesStats = [];
+  const issues = [];
+
+  const { schemas } = loadSchemas();
+
+  for (const source of sources) {
+    const result = await processWorkbook(source, schemas['model.schema.json']);
+    issues.push(...result.issues);
+
+    // Несколько книг одной серии должны описывать её одинаково
+    const knownSeries = seriesTemp.get(result.series);
+    if (knownSeries && JSON.stringify(knownSeries) !== JSON.stringify(result.seriesInfo)) {
+      throw new Error(`Серия ${result.series} описана по-разному в маппингах разных источников (seriesInfo)`);
+    }
+    seriesTemp.set(result.series, result.seriesInfo);
+
+    for (const segment of result.modelSegments) {
+      if (!segmentColumns.includes(segment)) {
+        segmentColumns.push(segment);
+      }
+    }
+    for (const attribute of result.attributeColumns) {
+      if (!attributeColumns.includes(attribute)) {
+        attributeColumns.push(attribute);
+      }
+    }
+    for (const column of result.thermalColumns) {
+      if (!thermalColumns.includes(column)) {
+        thermalColumns.push(column);
+      }
+    }
+    for (const column of result.priceColumns) {
+      if (!priceColumns.includes(column)) {
+        priceColumns.push(column);
+      }
+    }
+
+    for (const lengthData of result.lengths) {
+      const location = `${source.file} (лист ${lengthData._sheetName}, строка ${lengthData._row})`;
+      const previous = articleSources.get(lengthData.article_full);
+
+      // Повтор артикула — в другой книге, на другом листе или в том же листе — конфликт
+      if (previous) {
+        conflicts.push(`"${lengthData.article_full}": ${previous} и ${location}`);
+        continue;
+      }
+      articleSources.set(lengthData.article_full, location);
+
+      // Модель — все сегменты артикула, кроме длины
+      const articleBase = lengthData.article_base;
+      if (!modelsTemp.has(articleBase)) {
+        const model = { series: lengthData.series, article_base: articleBase };
+        for (const segment of result.modelSegments) {
+          model[segment] = lengthData[segment];
+        }
+        for (const attribute of result.attributeColumns) {
+          model[attribute] = lengthData[attribute];
+        }
+        modelsTemp.set(articleBase, model);
+      }
+
+      lengthsTemp.push(lengthData);
+    }
+
+    sourcesStats.push({
+      file: source.file,
+      mapping: source.mapping,
+      series: result.series,
+      sheets: result.sheets,
+      columns: result.columns,
+      filterHits: result.filterHits,
+      lengths: result.lengths.length
+    });
+  }
+
+  if (conflicts.length > 0) {
+    throw new Error(`Повторяющиеся article_full (${conflicts.length}):\n  - ${conflicts.join('\n  - ')}`);
+  }
+
+  // Выводим статистику
+  console.log('\n' + '='.repeat(60));
+  console.log('📈 СТАТИСТИКА ОБРАБОТКИ');
+  console.log('='.repeat(60));
+  console.log(`Количество моделей (уникальных): ${modelsTemp.size}`);
+  console.log(`Количество длин: ${lengthsTemp.length}`);
+  for (const stats of sourcesStats) {
+    console.log(`${stats.file} [${stats.series}]: длин ${stats.lengths}, листы: ${stats.sheets.join(', ')}`);
+  }
+  console.log('='.repeat(60));
+
+  // Отчёт об отклонённых строках и подозрительных ячейках
+  const report = buildImportReport(issues, { maxErrors });
+  const reportPaths = saveImportReport(report);
+  console.log(`\n📋 Отчёт об импорте: ошибок ${report.summary.errors}, предупреждений ${report.summary.warnings}`);
+  console.log(`   ${reportPaths.jsonPath}`);
+  console.log(`   ${reportPaths.htmlPath}`);
+
+  if (maxErrors !== null && report.summary.errors > maxErrors) {
+    throw new Error(`Ошибок импорта: ${report.summary.errors}, допустимо --max-errors ${maxErrors}. Отчёт: ${reportPaths.htmlPath}`);
+  }
+
+  // Генерируем CSV файлы
+  console.log('\n📝 Генерация CSV файлов...');
+  
+  const seriesResult = await generateSeriesCsv(seriesTemp);
+  console.log(`✅ series.csv создан: ${seriesResult.filePath}`);
+  console.log(`   Количество строк: ${seriesResult.count}`);
+  
+  const modelsResult = await generateModelsCsv(modelsTemp, segmentColumns, attributeColumns);
+  console.log(`✅ models.csv создан: ${modelsResult.filePath}`);
+  console.log(`   Количество строк: ${modelsResult.count}`);
+  
+  const lengthsResult = await generateLengthsCsv(lengthsTemp, segmentColumns, thermalColumns, priceColumns);
+  console.log(`✅ lengths.csv создан: ${lengthsResult.filePath}`);
+  console.log(`   Количество строк: ${lengthsResult.count}`);
+  
+  console.log('\n✨ Обработка завершена успешно!');
+
+  return {
+    sources: sourcesStats,
+    series: seriesResult.count,
+    models: modelsResult.count,
+    lengths: lengthsResult.count,
+    errors: report.summary.errors,
+    warnings: report.summary.warnings,
+    report: reportPaths.jsonPath
+  };
+}
+
+/**
+ * Проверяет значение --max-errors (целое число ≥ 0)
+ */
+export function parseMaxErrors(value) {
+  const maxErrors = Number(value);
+  if (!Number.isInteger(maxErrors) || maxErrors < 0) {
+    throw new Error(`Некорректное значение --max-errors: ${value}`);
+  }
+  return maxErrors;
+}
+
+/**
+ * Основная функция скрипта
+ */
+async function main() {
+  // Путь к XLS файлу (и маппингу) из аргументов; без аргументов — все источники из манифеста
+  // --max-errors <n> — допустимое число ошибок импорта (предупреждения не учитываются)
+  try {
+    const args = [];
+    let maxErrors = null;
+    for (let i = 2; i < process.argv.length; i++) {
+      if (process.argv[i] === '--max-errors' && i + 1 < process.argv.length) {
+        maxErrors = parseMaxErrors(process.argv[i + 1]);
+        i++;
+      } else {
+        args.push(process.argv[i]);
+      }
+    }
+    const xlsFilePath = args[0];
+    const mappingPath = args[1] || DEFAULT_MAPPING_PATH;
+
+    const sources = xlsFilePath
+      ? [{ file: xlsFilePath, mapping: mappingPath }]
+      : loadSourcesManifest();
+
+    await xlsToCsv(sources, { maxErrors });
   } catch (error) {
     console.error('❌ Ошибка при выполнении скрипта:', error.message);
     if (error.stack) {
@@ -439,6 +652,9 @@ async function main() {
   }
 }
 
-// Запускаем скрипт
-main();
+// Если запущен напрямую
+if (import.meta.url === `file://${process.argv[1]}`) {
+  main();
+}
 
+export default xlsToCsv;
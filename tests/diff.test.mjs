@@ -0,0 +1,105 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { diffFields, matchRenames, loadVersionData } from "../scripts/diff.mjs";
+
+test('одинаковые значения не дают изменений, порядок ключей не важен', () => {
+  assert.deepEqual(diffFields({ a: 1, b: { c: 2, d: 3 } }, { b: { d: 3, c: 2 }, a: 1 }), []);
+  assert.deepEqual(diffFields([1, 2], [1, 2]), []);
+  assert.deepEqual(diffFields(null, null), []);
+});
+
+test('add, remove и replace по JSON Pointer', () => {
+  const from = { slug: 'vk-65-160-600-2tg', price: { side: 9800, bottom: 10100 } };
+  const to = { slug: 'vk-65-160-600-2tg', price: { side: 10200, dealer: 8500 } };
+
+  assert.deepEqual(diffFields(from, to), [
+    { path: '/price/bottom', op: 'remove', from: 10100, to: null },
+    { path: '/price/dealer', op: 'add', from: null, to: 8500 },
+    { path: '/price/side', op: 'replace', from: 9800, to: 10200 }
+  ]);
+});
+
+test('массивы сравниваются целиком', () => {
+  assert.deepEqual(diffFields({ lengths: ['a', 'b'] }, { lengths: ['b', 'a'] }), [
+    { path: '/lengths', op: 'replace', from: ['a', 'b'], to: ['b', 'a'] }
+  ]);
+});
+
+test('смена типа значения — replace всего поля', () => {
+  assert.deepEqual(diffFields({ specs: { height: 65 } }, { specs: { height: { value: 65, unit: 'mm' } } }), [
+    { path: '/specs/height', op: 'replace', from: 65, to: { value: 65, unit: 'mm' } }
+  ]);
+  assert.deepEqual(diffFields({ a: 1 }, null), [{ path: '/', op: 'replace', from: { a: 1 }, to: null }]);
+});
+
+test('meta верхнего уровня не сравнивается, вложенный meta — сравнивается', () => {
+  const from = { slug: 'vk', meta: { updated: '2025-01-01', hash: 'aaa' }, specs: { meta: 1 } };
+  const to = { slug: 'vk', meta: { updated: '2025-02-01', hash: 'bbb' }, specs: { meta: 2 } };
+
+  assert.deepEqual(diffFields(from, to), [
+    { path: '/specs/meta', op: 'replace', from: 1, to: 2 }
+  ]);
+  assert.deepEqual(diffFields({ meta: { hash: 'a' } }, { meta: { hash: 'b' } }), []);
+});
+
+test('ключи с / и ~ экранируются по RFC 6901', () => {
+  assert.deepEqual(diffFields({ 'a/b': 1, 'c~d': 1 }, { 'a/b': 2, 'c~d': 2 }), [
+    { path: '/a~1b', op: 'replace', from: 1, to: 2 },
+    { path: '/c~0d', op: 'replace', from: 1, to: 2 }
+  ]);
+});
+
+/**
+ * Модель версии без id (до реестра идентификаторов)
+ */
+function legacyModel(code, { height = 65, type = 'Г', material = 'galvanized' } = {}) {
+  return { series: 'VK', model_code: code, material, specs: { height: { value: height, unit: 'mm' }, width: { value: 200, unit: 'mm' }, tubes: 2, type } };
+}
+
+test('matchRenames сопоставляет по артикулу, затем по размерам и исполнению', () => {
+  const sameCode = legacyModel('ВК.55.200.2Г', { height: 55 });
+  const oldCode = legacyModel('ВК.65.200.2Г');
+  const newCode = legacyModel('ВК.65.200.2ГМ');
+  const result = matchRenames([sameCode, oldCode], [newCode, { ...sameCode }], 'models');
+
+  assert.deepEqual(result.renamed.map(pair => [pair.from.model_code, pair.to.model_code, pair.matchedBy]), [
+    ['ВК.55.200.2Г', 'ВК.55.200.2Г', 'code'],
+    ['ВК.65.200.2Г', 'ВК.65.200.2ГМ', 'dimensions']
+  ]);
+  assert.deepEqual(result.removed, []);
+  assert.deepEqual(result.added, []);
+});
+
+test('matchRenames не сопоставляет другое исполнение и неоднозначные пары', () => {
+  const stainless = legacyModel('ВК.65.200.2К', { type: 'К', material: 'stainless' });
+  const galvanized = legacyModel('ВК.65.200.2Г');
+  const material = matchRenames([stainless], [galvanized], 'models');
+  assert.deepEqual(material.renamed, []);
+  assert.deepEqual(material.removed, [stainless]);
+  assert.deepEqual(material.added, [galvanized]);
+
+  const ambiguous = matchRenames([galvanized], [legacyModel('ВК.65.200.2ГА'), legacyModel('ВК.65.200.2ГБ')], 'models');
+  assert.deepEqual(ambiguous.renamed, []);
+});
+
+test('loadVersionData не допускает двух объектов с одним id', () => {
+  const versionPath = fs.mkdtempSync(path.join(os.tmpdir(), 'iwdc-version-'));
+  try {
+    fs.mkdirSync(path.join(versionPath, 'lengths'));
+    const write = (file, slug) => fs.writeFileSync(
+      path.join(versionPath, 'lengths', file),
+      JSON.stringify({ id: 'IWDC-L-000011', slug: slug, length: 600 }),
+      'utf-8'
+    );
+    write('vk-65-160-600-2tp.json', 'vk-65-160-600-2tp');
+    assert.deepEqual(Object.keys(loadVersionData(versionPath, 'lengths')), ['IWDC-L-000011']);
+
+    write('vk-65-160-600-2p.json', 'vk-65-160-600-2p');
+    assert.throws(() => loadVersionData(versionPath, 'lengths'), /повторяющийся идентификатор "IWDC-L-000011"/);
+  } finally {
+    fs.rmSync(versionPath, { recursive: true, force: true });
+  }
+});
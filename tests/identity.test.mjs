@@ -0,0 +1,217 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { assignIds, identityOf, loadIdRegistry, saveIdRegistry, productKey, findKeyCollisions } from "../scripts/identity.mjs";
+
+const DATE = '2025-01-01T00:00:00.000Z';
+
+/**
+ * Пустой реестр (как loadIdRegistry без файла)
+ */
+function emptyRegistry() {
+  return { next: { series: 1, model: 1, length: 1 }, entities: [] };
+}
+
+/**
+ * Модель серии VK: код, размеры и исполнение
+ */
+function model(code, { height = 65, width = 200, tubes = 2, type = 'Г', material = 'galvanized' } = {}) {
+  return identityOf('model', { series: 'VK', model_code: code, height, width, tubes, type, material });
+}
+
+/**
+ * Длина модели
+ */
+function length(code, value, { height = 65, width = 200, tubes = 2, type = 'Г' } = {}) {
+  return identityOf('length', { series: 'VK', model_code: code, height, width, tubes, type, length: value });
+}
+
+test('новые сущности получают последовательные номера по типу', () => {
+  const registry = emptyRegistry();
+  const result = assignIds(registry, [
+    identityOf('series', { series: 'VK' }),
+    model('ВК.65.200.2Г'),
+    model('ВК.65.160.2Г', { width: 160 }),
+    length('ВК.65.200.2Г', 600)
+  ], DATE);
+
+  assert.deepEqual([...result.ids.values()], ['IWDC-S-000001', 'IWDC-M-000001', 'IWDC-M-000002', 'IWDC-L-000001']);
+  assert.deepEqual(result.created, [...result.ids.values()]);
+  assert.deepEqual(registry.next, { series: 2, model: 3, length: 2 });
+  assert.ok(registry.entities.every(entry => entry.active && entry.created === DATE));
+});
+
+test('повторная сборка сохраняет идентификаторы', () => {
+  const registry = emptyRegistry();
+  const items = [model('ВК.65.200.2Г'), length('ВК.65.200.2Г', 600)];
+  const first = assignIds(registry, items, DATE);
+  const second = assignIds(registry, items, '2025-02-01T00:00:00.000Z');
+
+  assert.deepEqual([...second.ids], [...first.ids]);
+  assert.deepEqual(second.created, []);
+  assert.deepEqual(second.renamed, []);
+  assert.equal(registry.entities.length, 2);
+});
+
+test('повторная сборка того же входа не меняет реестр', () => {
+  const registry = emptyRegistry();
+  const items = [
+    identityOf('series', { series: 'VK' }),
+    model('ВК.65.200.2Г'),
+    length('ВК.65.200.2Г', 600),
+    length('ВК.65.200.2Г', 700)
+  ];
+  assignIds(registry, items, DATE);
+  const first = structuredClone(registry);
+  assignIds(registry, items, DATE);
+
+  assert.deepEqual(registry, first);
+});
+
+test('сущности с одним ключом отклоняются до изменения реестра', () => {
+  const registry = emptyRegistry();
+  assignIds(registry, [model('ВК.65.160.2П', { width: 160, type: 'П' }), length('ВК.65.160.2П', 600, { width: 160, type: 'П' })], DATE);
+  const before = structuredClone(registry);
+
+  // ВК.65.160.600.2ТП и ВК.65.160.600.2П: одна модель и длина — один ключ
+  const items = [
+    model('ВК.65.160.2П', { width: 160, type: 'П' }),
+    length('ВК.65.160.2П', 600, { width: 160, type: 'П' }),
+    length('ВК.65.160.2П', 600, { width: 160, type: 'П' })
+  ];
+  assert.deepEqual(findKeyCollisions(items), [{ key: 'length:ВК.65.160.2П:600', items: [1, 2] }]);
+  assert.throws(() => assignIds(registry, items, DATE), /length:ВК\.65\.160\.2П:600/);
+  assert.deepEqual(registry, before);
+});
+
+test('номера удалённых сущностей не переиспользуются', () => {
+  const registry = emptyRegistry();
+  assignIds(registry, [model('ВК.65.200.2Г'), model('ВК.65.160.2Г', { width: 160 })], DATE);
+  const result = assignIds(registry, [model('ВК.65.160.2Г', { width: 160 }), model('ВК.70.160.2Г', { height: 70, width: 160 })], DATE);
+
+  assert.equal(result.ids.get('model:ВК.65.160.2Г'), 'IWDC-M-000002');
+  assert.equal(result.ids.get('model:ВК.70.160.2Г'), 'IWDC-M-000003');
+  assert.equal(registry.entities.find(entry => entry.id === 'IWDC-M-000001').active, false);
+});
+
+test('вернувшаяся в прайс модель получает прежний идентификатор', () => {
+  const registry = emptyRegistry();
+  assignIds(registry, [model('ВК.65.200.2Г')], DATE);
+  assignIds(registry, [], DATE);
+  const result = assignIds(registry, [model('ВК.65.200.2Г')], DATE);
+
+  assert.equal(result.ids.get('model:ВК.65.200.2Г'), 'IWDC-M-000001');
+  assert.deepEqual(result.created, []);
+});
+
+test('другое изделие тех же размеров не получает идентификатор снятого с производства', () => {
+  const registry = emptyRegistry();
+  const stainless = { type: 'К', material: 'stainless' };
+  assignIds(registry, [model('ВК.65.200.2К', stainless), length('ВК.65.200.2К', 600, stainless)], DATE);
+  // Модель снята с производства
+  assignIds(registry, [], DATE);
+  // Позже появилась оцинкованная модель тех же размеров
+  const result = assignIds(registry, [model('ВК.65.200.2Г'), length('ВК.65.200.2Г', 600)], DATE);
+
+  assert.equal(result.ids.get('model:ВК.65.200.2Г'), 'IWDC-M-000002');
+  assert.equal(result.ids.get('length:ВК.65.200.2Г:600'), 'IWDC-L-000002');
+  assert.deepEqual(result.renamed, []);
+  assert.deepEqual(result.suggestions, []);
+});
+
+test('смена кода в той же сборке — только подсказка, идентификатор новый', () => {
+  const registry = emptyRegistry();
+  assignIds(registry, [model('ВК.55.200.4П', { height: 55, tubes: 4, type: 'П' })], DATE);
+  const result = assignIds(registry, [model('ВК.55.200.4ПМ', { height: 55, tubes: 4, type: 'П' })], DATE);
+
+  assert.equal(result.ids.get('model:ВК.55.200.4ПМ'), 'IWDC-M-000002');
+  assert.deepEqual(result.renamed, []);
+  assert.deepEqual(result.suggestions, [
+    { id: 'IWDC-M-000001', from: 'model:ВК.55.200.4П', to: 'model:ВК.55.200.4ПМ', newId: 'IWDC-M-000002' }
+  ]);
+});
+
+test('подсказки нет, если исполнение отличается или совпадение неоднозначно', () => {
+  const registry = emptyRegistry();
+  assignIds(registry, [model('ВК.65.200.2Г'), model('ВК.65.160.2Г', { width: 160 })], DATE);
+
+  const material = assignIds(registry, [
+    model('ВК.65.160.2Г', { width: 160 }),
+    model('ВК.65.200.2К', { type: 'К', material: 'stainless' })
+  ], DATE);
+  assert.deepEqual(material.suggestions, []);
+
+  // Две новые модели с тем же ключом изделия — какая из них прежняя, неизвестно
+  const ambiguous = emptyRegistry();
+  assignIds(ambiguous, [model('ВК.65.200.2Г')], DATE);
+  const result = assignIds(ambiguous, [model('ВК.65.200.2ГА'), model('ВК.65.200.2ГБ')], DATE);
+  assert.deepEqual(result.suggestions, []);
+});
+
+test('смена кода, подтверждённая через aliases, сохраняет идентификатор', () => {
+  const registry = emptyRegistry();
+  const options = { height: 55, tubes: 4, type: 'П' };
+  assignIds(registry, [model('ВК.55.200.4П', options)], DATE);
+  assignIds(registry, [model('ВК.55.200.4ПМ', options)], DATE);
+
+  // Владелец данных подтвердил подсказку
+  registry.entities.find(entry => entry.id === 'IWDC-M-000001').aliases.push('model:ВК.55.200.4ПМ');
+  const result = assignIds(registry, [model('ВК.55.200.4ПМ', options)], DATE);
+
+  assert.equal(result.ids.get('model:ВК.55.200.4ПМ'), 'IWDC-M-000001');
+  assert.deepEqual(result.renamed, [{ id: 'IWDC-M-000001', from: 'model:ВК.55.200.4П', to: 'model:ВК.55.200.4ПМ' }]);
+  const original = registry.entities.find(entry => entry.id === 'IWDC-M-000001');
+  assert.equal(original.key, 'model:ВК.55.200.4ПМ');
+  assert.deepEqual(original.aliases, ['model:ВК.55.200.4П']);
+  const displaced = registry.entities.find(entry => entry.id === 'IWDC-M-000002');
+  assert.equal(displaced.replacedBy, 'IWDC-M-000001');
+  assert.equal(displaced.active, false);
+
+  // Следующая сборка стабильна
+  const next = assignIds(registry, [model('ВК.55.200.4ПМ', options)], DATE);
+  assert.equal(next.ids.get('model:ВК.55.200.4ПМ'), 'IWDC-M-000001');
+  assert.deepEqual(next.renamed, []);
+});
+
+test('прежний код, занятый новой моделью, перестаёт указывать на старую запись', () => {
+  const registry = emptyRegistry();
+  assignIds(registry, [model('ВК.65.200.2Г')], DATE);
+  registry.entities[0].aliases.push('model:ВК.65.200.2ГМ');
+  assignIds(registry, [model('ВК.65.200.2ГМ')], DATE);
+
+  // Старый код вернулся вместе с новым: прежний ключ занимает новая запись
+  const result = assignIds(registry, [model('ВК.65.200.2ГМ'), model('ВК.65.200.2Г')], DATE);
+  assert.equal(result.ids.get('model:ВК.65.200.2ГМ'), 'IWDC-M-000001');
+  assert.equal(result.ids.get('model:ВК.65.200.2Г'), 'IWDC-M-000002');
+  assert.deepEqual(registry.entities[0].aliases, []);
+});
+
+test('productKey учитывает исполнение и не строится по одним размерам', () => {
+  const dimensions = { series: 'VK', height: 65, width: 200, tubes: 2 };
+  assert.equal(productKey(dimensions), null);
+  assert.equal(productKey({ ...dimensions, type: 'Г', material: 'galvanized' }), 'VK:65x200x2|type=Г|material=galvanized');
+  assert.notEqual(productKey({ ...dimensions, type: 'Г' }), productKey({ ...dimensions, type: 'К' }));
+  assert.equal(productKey({ ...dimensions, type: 'Г', length: 600 }, true), 'VK:65x200x2:600|type=Г');
+});
+
+test('loadIdRegistry и saveIdRegistry', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'iwdc-ids-'));
+  const registryPath = path.join(dir, 'ids.json');
+  try {
+    assert.deepEqual(loadIdRegistry(registryPath), emptyRegistry());
+
+    const registry = emptyRegistry();
+    assignIds(registry, [model('ВК.65.200.2Г')], DATE);
+    assert.equal(saveIdRegistry(registry, registryPath), true);
+    assert.equal(saveIdRegistry(registry, registryPath), false);
+    assert.deepEqual(loadIdRegistry(registryPath), registry);
+
+    registry.entities.push({ ...registry.entities[0] });
+    fs.writeFileSync(registryPath, JSON.stringify(registry), 'utf-8');
+    assert.throws(() => loadIdRegistry(registryPath), /повторяющийся идентификатор "IWDC-M-000001"/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,94 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { collectRedirects, mergeRedirects } from "../scripts/redirects.mjs";
+
+/**
+ * Изменение объекта с заменой path (как в compareVersions)
+ */
+function changed(from, to, matchedBy = 'id') {
+  return { id: 'IWDC-M-000001', matchedBy, changes: [{ path: '/path', op: 'replace', from, to }] };
+}
+
+/**
+ * Пустой результат сравнения версий
+ */
+function emptyDiff() {
+  const category = () => ({ added: [], removed: [], changed: [] });
+  return { series: category(), models: category(), lengths: category() };
+}
+
+test('mergeRedirects добавляет новые редиректы с версией и сортирует по from', () => {
+  const result = mergeRedirects(
+    [{ from: '/vk/vk-65', to: '/vk/vk-65-2g', category: 'models', version: 'v1' }],
+    [{ from: '/vk/vk-55', to: '/vk/vk-55-2g', category: 'models' }],
+    'v2'
+  );
+
+  assert.deepEqual(result, [
+    { from: '/vk/vk-55', to: '/vk/vk-55-2g', category: 'models', version: 'v2' },
+    { from: '/vk/vk-65', to: '/vk/vk-65-2g', category: 'models', version: 'v1' }
+  ]);
+});
+
+test('mergeRedirects схлопывает цепочки A → B → C', () => {
+  const result = mergeRedirects(
+    [{ from: '/a', to: '/b', category: 'models', version: 'v1' }],
+    [{ from: '/b', to: '/c', category: 'models' }],
+    'v2'
+  );
+
+  assert.deepEqual(result, [
+    { from: '/a', to: '/c', category: 'models', version: 'v2' },
+    { from: '/b', to: '/c', category: 'models', version: 'v2' }
+  ]);
+});
+
+test('mergeRedirects убирает редирект на себя при возврате прежнего path', () => {
+  const result = mergeRedirects(
+    [{ from: '/a', to: '/b', category: 'models', version: 'v1' }],
+    [{ from: '/b', to: '/a', category: 'models' }],
+    'v2'
+  );
+
+  assert.deepEqual(result, [
+    { from: '/b', to: '/a', category: 'models', version: 'v2' }
+  ]);
+});
+
+test('mergeRedirects не перенаправляет path, который снова занят', () => {
+  const result = mergeRedirects(
+    [{ from: '/a', to: '/b', category: 'models', version: 'v1' }],
+    [],
+    'v2',
+    new Set(['/a'])
+  );
+
+  assert.deepEqual(result, []);
+});
+
+test('mergeRedirects не изменяет существующие записи', () => {
+  const existing = [{ from: '/a', to: '/b', category: 'models', version: 'v1' }];
+  mergeRedirects(existing, [{ from: '/b', to: '/c', category: 'models' }], 'v2');
+
+  assert.deepEqual(existing, [{ from: '/a', to: '/b', category: 'models', version: 'v1' }]);
+});
+
+test('collectRedirects откладывает сопоставленные по размерам пары на проверку', () => {
+  const diff = emptyDiff();
+  diff.models.changed.push(
+    changed('/vk/vk-65-200-2g', '/vk/vk-65-200-2gm', 'dimensions'),
+    changed('/vk/vk.55.160.2g', '/vk/vk-55-160-2g', 'code'),
+    { id: 'IWDC-M-000003', matchedBy: 'id', changes: [{ path: '/price/side', op: 'replace', from: 1, to: 2 }] }
+  );
+  diff.lengths.changed.push(changed('/vk/vk-55-160-2g/600', '/vk/vk-55-160-2g/l-600'));
+
+  const { redirects, pending } = collectRedirects(diff);
+
+  assert.deepEqual(redirects, [
+    { from: '/vk/vk.55.160.2g', to: '/vk/vk-55-160-2g', category: 'models', id: 'IWDC-M-000001' },
+    { from: '/vk/vk-55-160-2g/600', to: '/vk/vk-55-160-2g/l-600', category: 'lengths', id: 'IWDC-M-000001' }
+  ]);
+  assert.deepEqual(pending, [
+    { from: '/vk/vk-65-200-2g', to: '/vk/vk-65-200-2gm', category: 'models', id: 'IWDC-M-000001' }
+  ]);
+});
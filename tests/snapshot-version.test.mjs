@@ -0,0 +1,9 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { snapshotVersion } from "../scripts/snapshot-version.mjs";
+
+test('имя версии вне data/versions/ отклоняется до записи', () => {
+  for (const name of ['../x', 'a/b', '..', '.hidden', 'v 1']) {
+    assert.throws(() => snapshotVersion(name), /Некорректное имя версии/, name);
+  }
+});
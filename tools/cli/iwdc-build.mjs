@@ -0,0 +1,277 @@
+import { xlsToCsv, parseMaxErrors } from "../../scripts/xls-to-csv.mjs";
+import { loadSourcesManifest, DEFAULT_MAPPING_PATH } from "../../scripts/sources-manifest.mjs";
+import { importVitronCSV } from "../../scripts/import-vitron-csv.mjs";
+import { parseOrphansMode } from "../../scripts/json-sync.mjs";
+import { validateSchema } from "../../scripts/validate-schema.mjs";
+import { testData } from "../../scripts/test-data.mjs";
+import { snapshotVersion, getLatestVersion } from "../../scripts/snapshot-version.mjs";
+import { buildDataDiff, saveDataDiff } from "../../scripts/diff.mjs";
+import { updateRedirects } from "../../scripts/redirects.mjs";
+
+const USAGE = 'Использование: node tools/cli/iwdc-build.mjs [--source <xls> [--mapping <json>]] [--max-errors <n>] [--orphans delete|quarantine|keep] [--allow-path-changes] [--from-stage <stage>] [--to-stage <stage>] [--snapshot [version]] [--dry-run]';
+
+/**
+ * Определяет источники этапа csv
+ * Без --source обрабатываются все книги из sources/xls/sources.json
+ */
+function resolveSources(options) {
+  if (options.source) {
+    return [{ file: options.source, mapping: options.mapping }];
+  }
+  return loadSourcesManifest();
+}
+
+/**
+ * Этапы конвейера в порядке выполнения
+ * Каждый этап возвращает { ok, details }
+ */
+const STAGES = [
+  {
+    id: 'csv',
+    title: 'XLS → CSV',
+    async run(options) {
+      const result = await xlsToCsv(resolveSources(options), { maxErrors: options.maxErrors });
+      return {
+        ok: true,
+        details: `источников: ${result.sources.length}, серий: ${result.series}, моделей: ${result.models}, длин: ${result.lengths}, ошибок импорта: ${result.errors}, предупреждений: ${result.warnings}`
+      };
+    }
+  },
+  {
+    id: 'json',
+    title: 'CSV → JSON',
+    async run(options) {
+      const result = await importVitronCSV({ orphans: options.orphans });
+      return {
+        ok: result.errors === 0,
+        details: `серий: ${result.series}, моделей: ${result.models}, длин: ${result.lengths}, записано: ${result.files.written}, без изменений: ${result.files.unchanged}, удалено: ${result.files.deleted + result.files.quarantined}, ошибок: ${result.errors}`
+      };
+    }
+  },
+  {
+    id: 'schema',
+    title: 'Валидация по схемам',
+    async run() {
+      const result = await validateSchema();
+      return {
+        ok: result.totalErrors === 0,
+        details: `ошибок: ${result.totalErrors}`
+      };
+    }
+  },
+  {
+    id: 'test',
+    title: 'Проверки данных',
+    async run(options) {
+      const result = await testData({ allowPathChanges: options.allowPathChanges });
+      return {
+        ok: result.totalErrors === 0,
+        details: `ошибок: ${result.totalErrors}, изменено path: ${result.pathChanges.length}`
+      };
+    }
+  },
+  {
+    id: 'snapshot',
+    title: 'Снимок версии и diff',
+    optional: true,
+    async run(options) {
+      // Предыдущую версию определяем до создания нового снимка
+      const previousVersion = getLatestVersion();
+      const manifest = snapshotVersion(options.version);
+
+      if (!previousVersion) {
+        return {
+          ok: true,
+          details: `версия: ${manifest.version}, новых объектов: ${manifest.objects.created} (первый снимок, diff не строится)`
+        };
+      }
+
+      const diff = await buildDataDiff({
+        fromVersion: previousVersion,
+        toVersion: manifest.version
+      });
+      const diffPath = await saveDataDiff(diff);
+      const redirects = updateRedirects(diff);
+      const renamed = ['series', 'models', 'lengths']
+        .reduce((sum, category) => sum + diff.summary[category].renamed, 0);
+
+      return {
+        ok: true,
+        details: `версия: ${manifest.version}, новых объектов: ${manifest.objects.created}, diff: ${diffPath}, переименовано: ${renamed}, новых редиректов: ${redirects.added} (всего: ${redirects.total}, на проверке: ${redirects.pending})`
+      };
+    }
+  }
+];
+
+/**
+ * Парсит аргументы командной строки
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    source: null,
+    mapping: DEFAULT_MAPPING_PATH,
+    maxErrors: null,
+    orphans: 'delete',
+    allowPathChanges: false,
+    fromStage: STAGES[0].id,
+    toStage: STAGES[STAGES.length - 1].id,
+    snapshot: false,
+    version: null,
+    dryRun: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--source' && i + 1 < args.length) {
+      options.source = args[i + 1];
+      i++;
+    } else if (arg === '--mapping' && i + 1 < args.length) {
+      options.mapping = args[i + 1];
+      i++;
+    } else if (arg === '--max-errors' && i + 1 < args.length) {
+      options.maxErrors = parseMaxErrors(args[i + 1]);
+      i++;
+    } else if (arg === '--orphans' && i + 1 < args.length) {
+      options.orphans = parseOrphansMode(args[i + 1]);
+      i++;
+    } else if (arg === '--allow-path-changes') {
+      options.allowPathChanges = true;
+    } else if (arg === '--from-stage' && i + 1 < args.length) {
+      options.fromStage = args[i + 1];
+      i++;
+    } else if (arg === '--to-stage' && i + 1 < args.length) {
+      options.toStage = args[i + 1];
+      i++;
+    } else if (arg === '--snapshot') {
+      options.snapshot = true;
+      // Версия снимка указывается необязательным значением после флага
+      if (i + 1 < args.length && !args[i + 1].startsWith('--')) {
+        options.version = args[i + 1];
+        i++;
+      }
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else {
+      throw new Error(`Неизвестный аргумент: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Определяет список этапов для запуска с учётом --from-stage/--to-stage
+ */
+function selectStages(options) {
+  const ids = STAGES.map(stage => stage.id);
+  const fromIndex = ids.indexOf(options.fromStage);
+  const toIndex = ids.indexOf(options.toStage);
+
+  if (fromIndex === -1) {
+    throw new Error(`Неизвестный этап --from-stage: ${options.fromStage} (доступны: ${ids.join(', ')})`);
+  }
+  if (toIndex === -1) {
+    throw new Error(`Неизвестный этап --to-stage: ${options.toStage} (доступны: ${ids.join(', ')})`);
+  }
+  if (fromIndex > toIndex) {
+    throw new Error(`Этап ${options.fromStage} идёт после ${options.toStage}`);
+  }
+
+  return STAGES
+    .slice(fromIndex, toIndex + 1)
+    .filter(stage => !stage.optional || options.snapshot);
+}
+
+/**
+ * Основная функция CLI
+ */
+async function main() {
+  let options;
+  let stages;
+
+  try {
+    options = parseArgs();
+    stages = selectStages(options);
+  } catch (error) {
+    console.error(`❌ Ошибка: ${error.message}`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  console.log('🏗️  IWDC BUILD');
+  console.log(`Этапы: ${stages.map(stage => stage.id).join(' → ')}`);
+
+  if (options.dryRun) {
+    console.log('\n🔎 Режим --dry-run: этапы не выполняются');
+    stages.forEach((stage, index) => {
+      console.log(`   ${index + 1}. ${stage.id} — ${stage.title}`);
+    });
+    if (stages.some(stage => stage.id === 'csv')) {
+      try {
+        for (const source of resolveSources(options)) {
+          console.log(`   Источник: ${source.file} (маппинг: ${source.mapping})`);
+        }
+      } catch (error) {
+        console.error(`❌ Ошибка: ${error.message}`);
+        process.exit(1);
+      }
+    }
+    if (options.snapshot) {
+      console.log(`   Версия снимка: ${options.version || '(автоматически)'}`);
+    }
+    process.exit(0);
+  }
+
+  const results = [];
+  let failed = false;
+
+  for (const stage of stages) {
+    console.log('\n' + '-'.repeat(60));
+    console.log(`▶️  Этап ${stage.id}: ${stage.title}`);
+    console.log('-'.repeat(60));
+
+    const startedAt = Date.now();
+    let result;
+
+    try {
+      result = await stage.run(options);
+    } catch (error) {
+      console.error(`❌ Ошибка: ${error.message}`);
+      result = { ok: false, details: error.message };
+    }
+
+    results.push({
+      id: stage.id,
+      ok: result.ok,
+      details: result.details,
+      duration: Date.now() - startedAt
+    });
+
+    // Останавливаем конвейер на первом неуспешном этапе
+    if (!result.ok) {
+      failed = true;
+      break;
+    }
+  }
+
+  // Финальный вывод
+  console.log('\n' + '='.repeat(60));
+  console.log(failed ? 'IWDC BUILD FAILED' : 'IWDC BUILD READY');
+  console.log('='.repeat(60));
+  for (const result of results) {
+    const status = result.ok ? '✅' : '❌';
+    console.log(`${status} ${result.id} (${result.duration} мс) — ${result.details}`);
+  }
+  const skipped = stages.slice(results.length);
+  for (const stage of skipped) {
+    console.log(`⏭️  ${stage.id} — пропущен`);
+  }
+  console.log('='.repeat(60));
+
+  process.exit(failed ? 1 : 0);
+}
+
+// Запускаем CLI
+main();
@@ -77,7 +77,8 @@ async function main() {
     const summary = {
       added: diff.summary.series.added + diff.summary.models.added + diff.summary.lengths.added,
       removed: diff.summary.series.removed + diff.summary.models.removed + diff.summary.lengths.removed,
-      changed: diff.summary.series.changed + diff.summary.models.changed + diff.summary.lengths.changed
+      changed: diff.summary.series.changed + diff.summary.models.changed + diff.summary.lengths.changed,
+      renamed: diff.summary.series.renamed + diff.summary.models.renamed + diff.summary.lengths.renamed
     };
     
     // Финальный вывод
@@ -86,7 +87,13 @@ async function main() {
     console.log('='.repeat(60));
     console.log(`from: ${fromVersion}`);
     console.log(`to: ${toVersion}`);
-    console.log(`added/removed/changed — ${summary.added}/${summary.removed}/${summary.changed}`);
+    console.log(`added/removed/changed — ${summary.added}/${summary.removed}/${summary.changed} (renamed: ${summary.renamed})`);
+    for (const category of ['series', 'models', 'lengths']) {
+      const fields = Object.entries(diff.summary[category].fields);
+      if (fields.length > 0) {
+        console.log(`${category} fields: ${fields.map(([field, count]) => `${field} ×${count}`).join(', ')}`);
+      }
+    }
     console.log(`file: ${diffPath}`);
     console.log('='.repeat(60));
     
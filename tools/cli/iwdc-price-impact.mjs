@@ -0,0 +1,122 @@
+import {
+  buildPriceImpact,
+  savePriceImpact,
+  DEFAULT_OUTLIER_THRESHOLD,
+  DEFAULT_TOP
+} from "../../scripts/price-impact.mjs";
+import { listVersions } from "../../scripts/snapshot-version.mjs";
+
+const USAGE = 'Использование: node tools/cli/iwdc-price-impact.mjs [--from <ver>] [--to <ver>] [--threshold <percent>] [--top <n>]';
+
+/**
+ * Парсит аргументы командной строки
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    from: null,
+    to: null,
+    threshold: DEFAULT_OUTLIER_THRESHOLD,
+    top: DEFAULT_TOP
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--from' && i + 1 < args.length) {
+      options.from = args[i + 1];
+      i++;
+    } else if (arg === '--to' && i + 1 < args.length) {
+      options.to = args[i + 1];
+      i++;
+    } else if (arg === '--threshold' && i + 1 < args.length) {
+      options.threshold = Number(args[i + 1]);
+      if (!Number.isFinite(options.threshold) || options.threshold < 0) {
+        throw new Error(`Некорректный порог --threshold: ${args[i + 1]}`);
+      }
+      i++;
+    } else if (arg === '--top' && i + 1 < args.length) {
+      options.top = Number(args[i + 1]);
+      if (!Number.isInteger(options.top) || options.top < 1) {
+        throw new Error(`Некорректное значение --top: ${args[i + 1]}`);
+      }
+      i++;
+    } else {
+      throw new Error(`Неизвестный аргумент: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Определяет сравниваемые версии
+ * По умолчанию --to — последняя версия, --from — предшествующая ей
+ */
+function resolveVersions(options) {
+  const versions = listVersions().map(item => item.version);
+
+  const toVersion = options.to || versions[0];
+  if (!toVersion) {
+    throw new Error('Версии не найдены в data/versions. Создайте снимок версии перед сравнением.');
+  }
+
+  let fromVersion = options.from;
+  if (!fromVersion) {
+    const toIndex = versions.indexOf(toVersion);
+    fromVersion = toIndex !== -1 ? versions[toIndex + 1] : null;
+    if (!fromVersion) {
+      throw new Error(`Не найдена версия, предшествующая ${toVersion}. Укажите --from`);
+    }
+  }
+
+  return { fromVersion, toVersion };
+}
+
+/**
+ * Основная функция CLI
+ */
+async function main() {
+  let options;
+  let versions;
+
+  try {
+    options = parseArgs();
+    versions = resolveVersions(options);
+  } catch (error) {
+    console.error(`❌ Ошибка: ${error.message}`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    console.log(`💰 Изменение цен: ${versions.fromVersion} → ${versions.toVersion}`);
+    const report = await buildPriceImpact({
+      fromVersion: versions.fromVersion,
+      toVersion: versions.toVersion,
+      threshold: options.threshold,
+      top: options.top
+    });
+
+    const { markdownPath, csvPath } = savePriceImpact(report);
+
+    // Финальный вывод
+    console.log('\n' + '='.repeat(60));
+    console.log('IWDC PRICE IMPACT READY');
+    console.log('='.repeat(60));
+    console.log(`from: ${versions.fromVersion}`);
+    console.log(`to: ${versions.toVersion}`);
+    console.log(`lengths: ${report.summary.lengthsChanged}, prices: ${report.summary.priceChanges} (↑ ${report.summary.increases} / ↓ ${report.summary.decreases})`);
+    console.log(`outliers (±${report.meta.threshold}%): ${report.summary.outliers}`);
+    console.log(`markdown: ${markdownPath}`);
+    console.log(`csv: ${csvPath}`);
+    console.log('='.repeat(60));
+
+  } catch (error) {
+    console.error('❌ Ошибка:', error.message);
+    process.exit(1);
+  }
+}
+
+// Запускаем CLI
+main();
@@ -0,0 +1,86 @@
+import fs from "fs";
+import path from "path";
+import { runValidation, FORMATTERS } from "../../scripts/validate.mjs";
+
+const USAGE = 'Использование: node tools/cli/iwdc-validate.mjs [--format text|json|junit|sarif] [--json <file>] [--junit <file>] [--sarif <file>] [--allow-path-changes]';
+
+/**
+ * Парсит аргументы командной строки
+ */
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    format: 'text',
+    outputs: [],
+    allowPathChanges: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--format' && i + 1 < args.length) {
+      options.format = args[i + 1];
+      i++;
+    } else if (['--json', '--junit', '--sarif'].includes(arg) && i + 1 < args.length) {
+      options.outputs.push({ format: arg.slice(2), file: args[i + 1] });
+      i++;
+    } else if (arg === '--allow-path-changes') {
+      options.allowPathChanges = true;
+    } else {
+      throw new Error(`Неизвестный аргумент: ${arg}`);
+    }
+  }
+
+  if (!FORMATTERS[options.format]) {
+    throw new Error(`Неизвестный формат: ${options.format} (доступны: ${Object.keys(FORMATTERS).join(', ')})`);
+  }
+
+  return options;
+}
+
+/**
+ * Основная функция CLI
+ */
+function main() {
+  let options;
+  try {
+    options = parseArgs();
+  } catch (error) {
+    console.error(`❌ Ошибка: ${error.message}`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    const report = runValidation({ allowPathChanges: options.allowPathChanges });
+
+    // Отчёты в файлы (для CI: вкладка тестов, code scanning)
+    for (const output of options.outputs) {
+      const dir = path.dirname(output.file);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      fs.writeFileSync(output.file, FORMATTERS[output.format](report), 'utf-8');
+    }
+
+    // Основной отчёт в stdout
+    process.stdout.write(FORMATTERS[options.format](report));
+
+    // Служебные сообщения — в stderr, чтобы не ломать машиночитаемый вывод
+    for (const output of options.outputs) {
+      console.error(`📄 Отчёт ${output.format}: ${output.file}`);
+    }
+
+    // exitCode вместо exit(): stdout в pipe должен успеть записаться полностью
+    process.exitCode = report.summary.errors > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('❌ Критическая ошибка:', error.message);
+    if (error.stack) {
+      console.error(error.stack);
+    }
+    process.exit(1);
+  }
+}
+
+// Запускаем CLI
+main();
@@ -0,0 +1,207 @@
+import path from "path";
+import {
+  listVersions,
+  resolveVersion,
+  tagVersion,
+  untagVersion,
+  releaseVersion,
+  pruneVersions,
+  getStorageStats
+} from "../../scripts/snapshot-version.mjs";
+import { loadVersionData } from "../../scripts/diff.mjs";
+
+const USAGE = [
+  'Использование: node tools/cli/iwdc-versions.mjs <команда>',
+  '  list                       — список версий',
+  '  show <версия|метка>        — сведения о версии',
+  '  tag <версия|метка> <метка> — добавить метку (версия защищена от prune)',
+  '  untag <версия|метка> <метка> — снять метку',
+  '  release <версия|метка>     — отметить версию выпущенной (защищена от prune)',
+  '  prune --keep <n> [--dry-run] — удалить версии, кроме n последних, с метками и выпущенных'
+].join('\n');
+
+/**
+ * Число аргументов команд (без --ключей)
+ */
+const COMMANDS = {
+  list: 0,
+  show: 1,
+  tag: 2,
+  untag: 2,
+  release: 1,
+  prune: 0
+};
+
+/**
+ * Парсит аргументы командной строки
+ */
+function parseArgs() {
+  const [command, ...args] = process.argv.slice(2);
+  const options = {
+    command: command,
+    args: [],
+    keep: null,
+    dryRun: false
+  };
+
+  if (!command || !Object.prototype.hasOwnProperty.call(COMMANDS, command)) {
+    throw new Error(command ? `Неизвестная команда: ${command}` : 'Не указана команда');
+  }
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (command === 'prune' && arg === '--keep' && i + 1 < args.length) {
+      options.keep = Number(args[i + 1]);
+      if (!Number.isInteger(options.keep) || options.keep < 1) {
+        throw new Error(`Некорректное значение --keep: ${args[i + 1]}`);
+      }
+      i++;
+    } else if (command === 'prune' && arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (!arg.startsWith('--') && options.args.length < COMMANDS[command]) {
+      options.args.push(arg);
+    } else {
+      throw new Error(`Неизвестный аргумент: ${arg}`);
+    }
+  }
+
+  if (options.args.length < COMMANDS[command]) {
+    throw new Error(`Команде ${command} не хватает аргументов`);
+  }
+  if (command === 'prune' && options.keep === null) {
+    throw new Error('Для prune укажите --keep <n>');
+  }
+
+  return options;
+}
+
+/**
+ * Размер в удобных единицах
+ */
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} Б`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} КБ`;
+  }
+  return `${(bytes / 1024 / 1024).toFixed(1)} МБ`;
+}
+
+/**
+ * Метки и признак выпуска версии одной строкой
+ */
+function formatLabels(version) {
+  const labels = [...version.tags];
+  if (version.released) {
+    labels.push('выпущена');
+  }
+  return labels.length > 0 ? ` [${labels.join(', ')}]` : '';
+}
+
+/**
+ * Директория версии в data/versions
+ */
+function versionDir(version) {
+  return path.join(process.cwd(), 'data', 'versions', version.path);
+}
+
+/**
+ * list: версии с датой, размером и метками
+ */
+function commandList() {
+  const versions = listVersions();
+  if (versions.length === 0) {
+    console.log('Версий нет (data/versions пуст)');
+    return;
+  }
+
+  const stats = getStorageStats();
+  console.log(`📚 Версии (${versions.length}), новые первыми:`);
+  versions.forEach((version, index) => {
+    const { bytes, ownBytes } = stats.versions.get(version.path);
+    const latest = index === 0 ? ' ← последняя' : '';
+    console.log(`   ${version.version}  ${version.date}  ${formatBytes(bytes)} (своих: ${formatBytes(ownBytes)})${formatLabels(version)}${latest}`);
+  });
+  console.log(`   На диске: ${formatBytes(stats.bytes)}, объектов в хранилище: ${stats.objects.count}`);
+}
+
+/**
+ * show: сведения о версии и число сущностей по категориям
+ */
+function commandShow(ref) {
+  const version = resolveVersion(ref);
+  const dir = versionDir(version);
+  const { files, bytes, ownBytes } = getStorageStats().versions.get(version.path);
+
+  console.log(`📦 Версия ${version.version}${formatLabels(version)}`);
+  console.log(`   Дата: ${version.date}`);
+  console.log(`   Путь: ${dir}`);
+  console.log(`   Файлов: ${files}, размер: ${formatBytes(bytes)}, своих: ${formatBytes(ownBytes)}`);
+  for (const category of ['series', 'models', 'lengths']) {
+    console.log(`   ${category}: ${Object.keys(loadVersionData(dir, category)).length}`);
+  }
+}
+
+/**
+ * prune: удаляет старые версии, защищённые пропускает
+ */
+function commandPrune(keep, dryRun) {
+  const result = pruneVersions(keep, { dryRun });
+
+  console.log(dryRun ? '🔎 Режим --dry-run: версии не удаляются' : '🧹 Удаление старых версий');
+  for (const version of result.keep) {
+    const reason = version.tags.length > 0 || version.released ? ` — защищена${formatLabels(version)}` : '';
+    console.log(`   ✅ ${version.version}${reason}`);
+  }
+  for (const version of result.remove) {
+    console.log(`   🗑️  ${version.version}`);
+  }
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`Оставлено: ${result.keep.length}, ${dryRun ? 'будет удалено' : 'удалено'}: ${result.remove.length} (объектов: ${result.objects}), ${dryRun ? 'освободится' : 'освобождено'}: ${formatBytes(result.bytes)}`);
+  console.log('='.repeat(60));
+}
+
+/**
+ * Основная функция CLI
+ */
+function main() {
+  let options;
+
+  try {
+    options = parseArgs();
+  } catch (error) {
+    console.error(`❌ Ошибка: ${error.message}`);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    const [first, second] = options.args;
+
+    if (options.command === 'list') {
+      commandList();
+    } else if (options.command === 'show') {
+      commandShow(first);
+    } else if (options.command === 'tag') {
+      const meta = tagVersion(first, second);
+      console.log(`🏷️  ${meta.version}: метки ${meta.tags.join(', ')}`);
+    } else if (options.command === 'untag') {
+      const meta = untagVersion(first, second);
+      console.log(`🏷️  ${meta.version}: метки ${meta.tags.length > 0 ? meta.tags.join(', ') : 'нет'}`);
+    } else if (options.command === 'release') {
+      const meta = releaseVersion(first);
+      console.log(`🚀 ${meta.version}: отмечена выпущенной`);
+    } else if (options.command === 'prune') {
+      commandPrune(options.keep, options.dryRun);
+    }
+  } catch (error) {
+    console.error(`❌ Ошибка: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Запускаем CLI
+main();